@@ -77,7 +77,13 @@ export class SyslogAiAgent {
     return `${providerLabel}: ${this.model}`;
   }
 
-  async sendMessage({ document, selectionText, userMessage, history = [] }) {
+  async sendMessage({
+    document,
+    parsed,
+    selectionText,
+    userMessage,
+    history = [],
+  }) {
     if (!document) {
       throw new Error("No active syslog document to analyze.");
     }
@@ -90,6 +96,7 @@ export class SyslogAiAgent {
       text,
       uri: document.uri,
       document,
+      parsed,
     };
 
     const selectionContext = selectionText?.trim();
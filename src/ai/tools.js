@@ -1,4 +1,6 @@
 import { truncate } from "../util/helpers.js";
+import { summarizeSessionTotals } from "../parse/sessionTotals.js";
+import { parseTeamcenterLog } from "../parse/tcServerSyslogParser.js";
 
 function sanitizeContext(context) {
   if (!context || typeof context.text !== "string") {
@@ -109,6 +111,15 @@ export function createSyslogToolbox(getContext) {
         required: ["token"],
       },
     },
+    {
+      name: "get_session_totals",
+      description:
+        "Return the session totals (elapsed, CPU and DB time, SQL statement and DB trip counts) from the JOURNALLED_TIMES summary blocks.",
+      parameters: {
+        type: "object",
+        properties: {},
+      },
+    },
   ];
 
   const handlers = {
@@ -150,6 +161,23 @@ export function createSyslogToolbox(getContext) {
         entries: extractContextByToken(lines, token, Math.max(1, Math.min(100, Math.round(limit)))),
       };
     },
+    get_session_totals: async () => {
+      const context = sanitizeContext(getContext());
+      const parsed = context.parsed ?? parseTeamcenterLog(context.text);
+      return {
+        type: "sessionTotals",
+        blocks: (parsed.sessionTotals ?? []).map((block) => ({
+          line: block.line + 1,
+          totals: summarizeSessionTotals(block),
+          metrics: block.metrics.map(({ label, value, unit, line }) => ({
+            label,
+            value,
+            unit,
+            line: line + 1,
+          })),
+        })),
+      };
+    },
   };
 
   return {
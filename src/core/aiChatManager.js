@@ -46,7 +46,7 @@ export class AiChatManager {
     this._onDidChange.fire(this.getMessages());
   }
 
-  async sendMessage(document, { selectionText, userMessage }) {
+  async sendMessage(document, { parsed, selectionText, userMessage }) {
     const trimmed = userMessage?.trim();
     if (!trimmed) {
       throw new Error("Message cannot be empty.");
@@ -72,6 +72,7 @@ export class AiChatManager {
     try {
       const response = await this.agent.sendMessage({
         document,
+        parsed,
         selectionText: selection,
         userMessage: trimmed,
         history,
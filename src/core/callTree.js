@@ -0,0 +1,30 @@
+/**
+ * Rebuilds the call tree a JOURNAL_HIERARCHY_TRACE prints depth-first: each row is a child of the
+ * closest preceding row with a smaller depth. Self time is the row's time minus the time of its
+ * direct children, clamped at zero because the trace rounds every row independently.
+ */
+export function buildCallTree(rows) {
+  const roots = [];
+  const stack = [];
+  (rows ?? []).forEach((row, rowIndex) => {
+    const node = { row, rowIndex, children: [], childTime: 0, selfTime: 0 };
+    while (stack.length && stack[stack.length - 1].row.depth >= row.depth) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    if (parent) {
+      parent.children.push(node);
+      parent.childTime += row.time;
+    } else {
+      roots.push(node);
+    }
+    stack.push(node);
+  });
+  const pending = [...roots];
+  while (pending.length) {
+    const node = pending.pop();
+    node.selfTime = Math.max(0, node.row.time - node.childTime);
+    pending.push(...node.children);
+  }
+  return roots;
+}
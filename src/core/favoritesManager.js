@@ -59,6 +59,10 @@ export class FavoritesManager {
     await this.loadFavorites();
   }
 
+  updateParsed(parsed) {
+    this.latestParsed = parsed ?? null;
+  }
+
   getFavoritesUri(resource) {
     const parsedPath = path.parse(resource.fsPath);
     const fileName = `${parsedPath.name}.favorite`;
@@ -0,0 +1,84 @@
+import { buildCallTree } from "./callTree.js";
+
+/**
+ * Frames for the flame graph webview. Every frame is `{ name, value, self, line, details,
+ * children }` where `value` is the time in seconds that sets the frame's width.
+ */
+export function buildHierarchyFlameGraph(trace) {
+  const toFrame = (callNode) => {
+    const { row, selfTime, children } = callNode;
+    return {
+      name: row.routine,
+      value: row.time,
+      self: selfTime,
+      line: row.line,
+      details: `${row.dbTrips} DB trips · ${row.callCount} calls`,
+      children: children.map(toFrame),
+    };
+  };
+  const frames = buildCallTree(trace?.rows).map(toFrame);
+  const total = frames.reduce((sum, frame) => sum + frame.value, 0);
+  return {
+    name: "JOURNAL_HIERARCHY_TRACE",
+    value: total,
+    self: 0,
+    line: trace?.line,
+    details: `${trace?.rows?.length ?? 0} rows`,
+    children: frames,
+  };
+}
+
+/**
+ * JOURNALLED_TIMES sections list functions without nesting, so the graph has a single level:
+ * one frame per function, sized by its total elapsed time.
+ */
+export function buildJournalFlameGraph(section, label) {
+  const frames = (section?.rows ?? [])
+    .map((row) => {
+      const value = Number(row.totalElapsed);
+      return {
+        name: row.functionName,
+        value: Number.isFinite(value) ? value : 0,
+        self: Number.isFinite(value) ? value : 0,
+        line: row.line,
+        details: [
+          row.percent ? `${row.percent}%` : null,
+          row.dbTrips ? `${row.dbTrips} DB trips` : null,
+          row.callCount ? `${row.callCount} calls` : null,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        children: [],
+      };
+    })
+    .filter((frame) => frame.value > 0)
+    .sort((a, b) => b.value - a.value);
+  return {
+    name: label,
+    value: frames.reduce((sum, frame) => sum + frame.value, 0),
+    self: 0,
+    line: section?.line,
+    details: `${frames.length} functions`,
+    children: frames,
+  };
+}
+
+/**
+ * Flame graph for a Journals node. `node.flameGraph` names the section or trace by its first
+ * line, so it is found in the unfiltered parser result whatever filter built the tree. Returns
+ * null for nodes without a graph.
+ */
+export function buildNodeFlameGraph(parsed, node) {
+  const { kind, line } = node?.flameGraph ?? {};
+  if (kind === "hierarchy") {
+    const trace = parsed?.journalHierarchyTraces?.find(
+      (item) => item.line === line
+    );
+    return trace ? buildHierarchyFlameGraph(trace) : null;
+  }
+  if (kind === "journal") {
+    const section = parsed?.journalSections?.find((item) => item.line === line);
+    return section ? buildJournalFlameGraph(section, node.label) : null;
+  }
+  return null;
+}
@@ -0,0 +1,197 @@
+import * as vscode from "vscode";
+import fs from "node:fs";
+
+const APPEND_DEBOUNCE_MS = 250;
+const POLL_INTERVAL_MS = 1000;
+const ALERT_LEVELS = new Set(["ERROR", "FATAL"]);
+
+/**
+ * Live tail for a syslog that tcserver is still writing. The file is watched on disk and every
+ * change asks the controller to parse only the appended bytes; new ERROR/FATAL entries raise a
+ * badge on the activity-bar container until the user looks at the syslog views again.
+ */
+export class FollowManager {
+  constructor(controller, context) {
+    this.controller = controller;
+    this.context = context;
+    this.uri = null;
+    this.watcher = undefined;
+    this.polling = false;
+    this.debounceTimer = undefined;
+    this.running = false;
+    this.pending = false;
+    this.lastCountedLine = -1;
+    this.alertCount = 0;
+
+    const views = [controller.treeView, controller.extraTreeView];
+    for (const view of views) {
+      this.context.subscriptions.push(
+        view.onDidChangeVisibility((event) => {
+          if (event.visible) {
+            this.clearBadge();
+          }
+        })
+      );
+    }
+    this.context.subscriptions.push({ dispose: () => this.stop() });
+  }
+
+  isFollowing(uri) {
+    if (!this.uri) {
+      return false;
+    }
+    return !uri || this.uri.toString() === uri.toString();
+  }
+
+  start(document, parsed) {
+    if (document.uri.scheme !== "file") {
+      vscode.window.showWarningMessage(
+        "TC Syslog: only syslog files saved on disk can be followed."
+      );
+      return false;
+    }
+    this.stop();
+    this.uri = document.uri;
+    this.lastCountedLine = parsed?.logLines?.at(-1)?.line ?? -1;
+    this.watch(document.uri.fsPath);
+    void vscode.commands.executeCommand(
+      "setContext",
+      "tcSyslogViewer.following",
+      true
+    );
+    this.controller.updateViewDescriptions();
+    // Pick up anything written between the last parse and the watcher starting.
+    this.schedule();
+    return true;
+  }
+
+  stop() {
+    if (!this.uri) {
+      return;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = undefined;
+    }
+    if (this.polling) {
+      fs.unwatchFile(this.uri.fsPath);
+      this.polling = false;
+    }
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = undefined;
+    }
+    this.uri = null;
+    this.pending = false;
+    this.clearBadge();
+    this.controller.updateViewDescriptions();
+    void vscode.commands.executeCommand(
+      "setContext",
+      "tcSyslogViewer.following",
+      false
+    );
+  }
+
+  watch(filePath) {
+    try {
+      this.watcher = fs.watch(filePath, { persistent: false }, () =>
+        this.schedule()
+      );
+      this.watcher.on("error", () => {
+        this.watcher?.close();
+        this.watcher = undefined;
+        this.poll(filePath);
+      });
+    } catch (error) {
+      // Some network shares do not support change notifications; fall back to polling.
+      this.poll(filePath);
+    }
+  }
+
+  poll(filePath) {
+    if (this.polling || !this.uri) {
+      return;
+    }
+    this.polling = true;
+    fs.watchFile(
+      filePath,
+      { persistent: false, interval: POLL_INTERVAL_MS },
+      (current, previous) => {
+        if (
+          current.size !== previous.size ||
+          current.mtimeMs !== previous.mtimeMs
+        ) {
+          this.schedule();
+        }
+      }
+    );
+  }
+
+  schedule() {
+    if (!this.uri) {
+      return;
+    }
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = undefined;
+      void this.flush();
+    }, APPEND_DEBOUNCE_MS);
+  }
+
+  async flush() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    this.running = true;
+    try {
+      do {
+        this.pending = false;
+        if (!this.uri) {
+          break;
+        }
+        await this.controller.appendFromDisk(this.uri);
+      } while (this.pending);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Counts ERROR/FATAL entries that were not seen before. Entries are re-parsed from the nearest
+   * anchor, so only lines past the last counted one are new.
+   */
+  recordEntries(logLines) {
+    let alerts = 0;
+    for (const entry of logLines ?? []) {
+      if (entry.line <= this.lastCountedLine) {
+        continue;
+      }
+      this.lastCountedLine = entry.line;
+      if (ALERT_LEVELS.has(entry.level)) {
+        alerts += 1;
+      }
+    }
+    if (!alerts) {
+      return;
+    }
+    const { treeView, extraTreeView } = this.controller;
+    if (treeView.visible || extraTreeView.visible) {
+      return;
+    }
+    this.alertCount += alerts;
+    treeView.badge = {
+      value: this.alertCount,
+      tooltip: `${this.alertCount} new ERROR/FATAL ${
+        this.alertCount === 1 ? "entry" : "entries"
+      }`,
+    };
+  }
+
+  clearBadge() {
+    this.alertCount = 0;
+    this.controller.treeView.badge = undefined;
+  }
+}
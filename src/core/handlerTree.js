@@ -0,0 +1,43 @@
+import {
+  findFirstAtOrAfter,
+  findLastAtOrBefore,
+  parseSyslogTimestamp,
+} from "../util/helpers.js";
+
+/**
+ * Nests workflow handlers by the `parent` the parser recorded and times them from the log lines
+ * around them: the last timestamp before ENTER and the first after LEAVE (or the last before it
+ * when nothing follows). Handler lines carry no timestamp, so the duration is an upper bound;
+ * handlers that never LEAVE have no end and no duration. Nodes are
+ * `{ entry, children, start, end, duration }` with `duration` in milliseconds.
+ */
+export function buildHandlerTree(handlers, logLines) {
+  const timed = (logLines ?? []).filter((entry) => entry.timestamp);
+  const roots = [];
+  const nodes = new Map();
+  for (const entry of handlers ?? []) {
+    const startLine = findLastAtOrBefore(timed, entry.line);
+    const endLine = entry.closed
+      ? findFirstAtOrAfter(timed, entry.endLine) ??
+        findLastAtOrBefore(timed, entry.endLine)
+      : null;
+    const start = parseSyslogTimestamp(startLine?.timestamp);
+    const end = parseSyslogTimestamp(endLine?.timestamp);
+    const node = {
+      entry,
+      children: [],
+      start: startLine?.timestamp ?? null,
+      end: endLine?.timestamp ?? null,
+      duration:
+        start !== null && end !== null ? Math.max(0, end - start) : null,
+    };
+    nodes.set(entry.index, node);
+    const parent = entry.parent !== null ? nodes.get(entry.parent) : undefined;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
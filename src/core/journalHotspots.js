@@ -0,0 +1,83 @@
+import { formatSeconds } from "../util/helpers.js";
+
+/**
+ * Metrics the Journal Hotspots view can rank by, in the order offered to the user.
+ */
+export const JOURNAL_HOTSPOT_METRICS = [
+  { key: "elapsed", label: "Elapsed", format: (value) => formatSeconds(value) },
+  {
+    key: "cpu",
+    label: "CPU",
+    format: (value) => `CPU ${formatSeconds(value)}`,
+  },
+  { key: "dbTrips", label: "DB Trips", format: (value) => `${value} trips` },
+  { key: "calls", label: "Calls", format: (value) => `${value} calls` },
+  {
+    key: "delta",
+    label: "Growth Since Previous Dump",
+    format: (value) => `Δ ${formatDelta(value)}`,
+  },
+];
+
+export function formatDelta(value) {
+  return `${value >= 0 ? "+" : ""}${formatSeconds(value)}`;
+}
+
+function toNumber(text) {
+  const value = Number(text);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Sums elapsed, CPU, DB trips and calls per function over all JOURNALLED_TIMES sections of one
+ * type (all-functions and top-level sections measure the same time, so they are kept apart).
+ * Each occurrence records the growth since the previous section of that type; `delta` is the
+ * growth at the function's latest occurrence.
+ */
+export function buildJournalHotspots(journalSections) {
+  const byFunction = new Map();
+  const previousByType = new Map();
+  (journalSections ?? []).forEach((section, sectionIndex) => {
+    const previous = previousByType.get(section.type);
+    const current = new Map();
+    for (const row of section.rows ?? []) {
+      const key = `${section.type}:${row.functionName}`;
+      const sample = {
+        elapsed: toNumber(row.totalElapsed),
+        cpu: toNumber(row.totalCpu),
+        dbTrips: toNumber(row.dbTrips),
+        calls: toNumber(row.callCount),
+      };
+      current.set(key, sample);
+      let hotspot = byFunction.get(key);
+      if (!hotspot) {
+        hotspot = {
+          functionName: row.functionName,
+          type: section.type,
+          elapsed: 0,
+          cpu: 0,
+          dbTrips: 0,
+          calls: 0,
+          delta: undefined,
+          occurrences: [],
+        };
+        byFunction.set(key, hotspot);
+      }
+      hotspot.elapsed += sample.elapsed;
+      hotspot.cpu += sample.cpu;
+      hotspot.dbTrips += sample.dbTrips;
+      hotspot.calls += sample.calls;
+      const before = previous?.get(key);
+      const delta = previous
+        ? {
+            elapsed: sample.elapsed - (before?.elapsed ?? 0),
+            calls: sample.calls - (before?.calls ?? 0),
+          }
+        : undefined;
+      hotspot.delta = delta?.elapsed;
+      hotspot.occurrences.push({ sectionIndex, section, row, sample, delta });
+    }
+    previousByType.set(section.type, current);
+  });
+  return Array.from(byFunction.values());
+}
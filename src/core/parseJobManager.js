@@ -0,0 +1,184 @@
+import { Worker } from "node:worker_threads";
+
+const WORKER_URL = new URL("../parse/parseWorker.js", import.meta.url);
+
+/**
+ * Owns the background parser worker. Each call to `parse` returns a job handle whose promise
+ * resolves with the parsed result, or with `null` when the job was cancelled before finishing.
+ * A source is either `{ content }` (text already in memory) or `{ filePath }` (streamed by the
+ * worker straight from disk).
+ */
+export class ParseJobManager {
+  constructor() {
+    this.worker = undefined;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  parse(source, options = {}) {
+    return this.startJob(
+      {
+        type: "parse",
+        content: source?.content,
+        filePath: source?.filePath,
+        sessionKey: options.sessionKey,
+      },
+      options
+    );
+  }
+
+  /**
+   * Re-parses the session created by the last `parse` with the same `sessionKey`, starting at
+   * `fromLine`, a parser anchor of the current result (see `findParsedAnchor`); `content` is the
+   * document text from that line to the end; `revision` is the result's current revision.
+   * Resolves with `{ delta }`, or `{ resync: true }` when the worker no longer holds that
+   * session at that revision.
+   */
+  reparse({ sessionKey, fromLine, content, revision }, options = {}) {
+    return this.startJob(
+      {
+        type: "reparse",
+        sessionKey,
+        fromLine,
+        content,
+        revision,
+      },
+      options
+    );
+  }
+
+  /**
+   * Continues the session with the bytes appended to `filePath` since it was last read. Resolves
+   * like `reparse`; a truncated or replaced file also asks for a resync.
+   */
+  append({ sessionKey, filePath, revision }, options = {}) {
+    return this.startJob(
+      { type: "append", sessionKey, filePath, revision },
+      options
+    );
+  }
+
+  startJob(message, options) {
+    const jobId = this.nextJobId;
+    this.nextJobId += 1;
+    const cancelBuffer = new SharedArrayBuffer(4);
+    const cancelFlag = new Int32Array(cancelBuffer);
+    const job = {
+      id: jobId,
+      onProgress:
+        typeof options.onProgress === "function" ? options.onProgress : null,
+      cancel: () => {
+        Atomics.store(cancelFlag, 0, 1);
+      },
+      isCancelled: () => Atomics.load(cancelFlag, 0) === 1,
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    this.jobs.set(jobId, job);
+
+    try {
+      const worker = this.ensureWorker();
+      worker.ref();
+      worker.postMessage({ ...message, jobId, cancelBuffer });
+    } catch (error) {
+      this.jobs.delete(jobId);
+      job.reject(error);
+    }
+    return job;
+  }
+
+  cancelAll() {
+    for (const job of this.jobs.values()) {
+      job.cancel();
+    }
+  }
+
+  ensureWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+    const worker = new Worker(WORKER_URL);
+    worker.on("message", (message) => this.handleMessage(message));
+    worker.on("error", (error) => this.handleWorkerFailure(worker, error));
+    worker.on("exit", (code) => {
+      if (this.worker === worker) {
+        this.handleWorkerFailure(
+          worker,
+          new Error(`Syslog parser worker stopped unexpectedly (code ${code})`)
+        );
+      }
+    });
+    this.worker = worker;
+    return worker;
+  }
+
+  handleMessage(message) {
+    const job = this.jobs.get(message?.jobId);
+    if (!job) {
+      return;
+    }
+    this.dispatchJobMessage(job, message);
+    if (!this.jobs.size) {
+      // Do not keep the extension host alive just because the worker is idle.
+      this.worker?.unref();
+    }
+  }
+
+  dispatchJobMessage(job, message) {
+    switch (message.type) {
+      case "progress":
+        if (!job.isCancelled()) {
+          job.onProgress?.({
+            stage: message.stage,
+            fraction: message.fraction,
+          });
+        }
+        break;
+      case "result":
+        this.jobs.delete(job.id);
+        job.resolve(job.isCancelled() ? null : message.result);
+        break;
+      case "cancelled":
+        this.jobs.delete(job.id);
+        job.resolve(null);
+        break;
+      case "error":
+        this.jobs.delete(job.id);
+        job.reject(new Error(message.message ?? "Unknown parser error"));
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleWorkerFailure(worker, error) {
+    if (this.worker !== worker) {
+      return;
+    }
+    this.worker = undefined;
+    const pending = Array.from(this.jobs.values());
+    this.jobs.clear();
+    for (const job of pending) {
+      if (job.isCancelled()) {
+        job.resolve(null);
+      } else {
+        job.reject(error);
+      }
+    }
+  }
+
+  dispose() {
+    this.cancelAll();
+    const worker = this.worker;
+    this.worker = undefined;
+    for (const job of this.jobs.values()) {
+      job.resolve(null);
+    }
+    this.jobs.clear();
+    if (worker) {
+      void worker.terminate();
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import {
+  LINE_COLLECTIONS,
+  findOwningEntry,
+} from "../parse/tcServerSyslogParser.js";
+
+// Session-wide facts stay visible whichever ID or time window is selected.
+const SESSION_COLLECTIONS = new Set([
+  "systemInfo",
+  "envSections",
+  "dllSections",
+  "sessionTotals",
+  "pomStats",
+  "endSessions",
+  "truncated",
+]);
+
+export const NO_ID_LABEL = "(no ID)";
+
+export function describeLogId(id) {
+  return id || NO_ID_LABEL;
+}
+
+/**
+ * A copy of the parser result restricted to the log entries `keep` accepts. Everything else
+ * goes with its owning entry (see `findOwningEntry`), so SQL, dumps, journals and workflow
+ * output follow the request that logged them and fall inside its time window.
+ */
+function filterParsedByEntry(parsed, keep) {
+  const allEntries = parsed.logLines ?? [];
+  const filtered = { ...parsed, logLines: allEntries.filter(keep) };
+  for (const key of LINE_COLLECTIONS) {
+    if (key === "logLines" || SESSION_COLLECTIONS.has(key)) {
+      continue;
+    }
+    filtered[key] = (parsed[key] ?? []).filter((item) => {
+      const owner = findOwningEntry(parsed, item.line);
+      return Boolean(owner) && keep(owner);
+    });
+  }
+  return filtered;
+}
+
+const matchesId = (id) => (entry) => entry.id === id;
+
+const matchesTimeRange =
+  ({ from = null, to = null }) =>
+  (entry) =>
+    entry.time !== null &&
+    (from === null || entry.time >= from) &&
+    (to === null || entry.time <= to);
+
+export function filterParsedById(parsed, id) {
+  return filterParsedByEntry(parsed, matchesId(id));
+}
+
+/**
+ * Keeps what was logged between `from` and `to` (epoch milliseconds, both inclusive, either
+ * open). Untimestamped lines take the time of the entry before them.
+ */
+export function filterParsedByTimeRange(parsed, range) {
+  return filterParsedByEntry(parsed, matchesTimeRange(range));
+}
+
+export function hasParsedFilter(options = {}) {
+  return typeof options.idFilter === "string" || Boolean(options.timeRange);
+}
+
+/**
+ * Applies the ID filter and time window from the tree model options. `ignoreId` leaves the ID
+ * filter out for the categories that list every ID.
+ */
+export function applyParsedFilters(parsed, options = {}, { ignoreId } = {}) {
+  const tests = [];
+  if (typeof options.idFilter === "string" && !ignoreId) {
+    tests.push(matchesId(options.idFilter));
+  }
+  if (options.timeRange) {
+    tests.push(matchesTimeRange(options.timeRange));
+  }
+  return tests.length
+    ? filterParsedByEntry(parsed, (entry) => tests.every((test) => test(entry)))
+    : parsed;
+}
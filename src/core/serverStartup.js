@@ -0,0 +1,77 @@
+const INITIALIZE_MODULE_REGEX = /^InitializeModule\.([A-Z_0-9]+)$/;
+export const SLOWEST_MODULE_COUNT = 3;
+
+/**
+ * The tcserver startup sequence from the `InitializeModule.<MODULE>` log IDs: one item per module
+ * `{ name, id, line, timestamp, entries, elapsed, slowest }`, ordered by timestamp. A module's
+ * `elapsed` (milliseconds) runs until the next module starts, or for the last one until the
+ * next log entry after its own; `null` when either end has no timestamp. The
+ * `SLOWEST_MODULE_COUNT` modules that took longest are flagged `slowest`, or only the slowest
+ * one when the sequence is that short.
+ */
+export function buildServerStartup(logLines) {
+  const entries = logLines ?? [];
+  const modules = [];
+  const byId = new Map();
+  // Where each module falls in time: its own timestamp, or the last one logged before it.
+  const sortTimes = new Map();
+  let lastTime = null;
+  let lastInitIndex = -1;
+  entries.forEach((entry, index) => {
+    if (entry.time !== null) {
+      lastTime = entry.time;
+    }
+    const match = INITIALIZE_MODULE_REGEX.exec(entry.id ?? "");
+    if (!match) {
+      return;
+    }
+    lastInitIndex = index;
+    let module = byId.get(entry.id);
+    if (!module) {
+      module = {
+        name: match[1],
+        id: entry.id,
+        line: entry.line,
+        timestamp: entry.timestamp,
+        time: entry.time,
+        entries: [],
+        elapsed: null,
+        slowest: false,
+      };
+      byId.set(entry.id, module);
+      sortTimes.set(module, lastTime ?? -Infinity);
+      modules.push(module);
+    }
+    module.entries.push(entry);
+  });
+  if (!modules.length) {
+    return { modules, total: null };
+  }
+  // Timestamps order the sequence; ties and untimed modules keep their place in the log.
+  modules.sort(
+    (a, b) => sortTimes.get(a) - sortTimes.get(b) || a.line - b.line
+  );
+  const after = entries
+    .slice(lastInitIndex + 1)
+    .find((entry) => entry.time !== null);
+  const endTime = after ? after.time : null;
+  modules.forEach((module, index) => {
+    const next = index + 1 < modules.length ? modules[index + 1].time : endTime;
+    if (module.time !== null && next !== null) {
+      module.elapsed = Math.max(0, next - module.time);
+    }
+  });
+  [...modules]
+    .filter((module) => module.elapsed)
+    .sort((a, b) => b.elapsed - a.elapsed)
+    .slice(0, modules.length > SLOWEST_MODULE_COUNT ? SLOWEST_MODULE_COUNT : 1)
+    .forEach((module) => {
+      module.slowest = true;
+    });
+  const first = modules[0].time;
+  const last = endTime ?? modules[modules.length - 1].time;
+  return {
+    modules,
+    total: first !== null && last !== null ? Math.max(0, last - first) : null,
+  };
+}
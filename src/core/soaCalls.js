@@ -0,0 +1,100 @@
+import {
+  countInLineRange,
+  findFirstAtOrAfter,
+  findLastAtOrBefore,
+  parseSyslogTimestamp,
+  sliceLineRange,
+} from "../util/helpers.js";
+
+const ERROR_LEVELS = new Set(["ERROR", "FATAL"]);
+
+function lastParsedLine(parsed) {
+  const lastEntry = parsed.logLines?.[parsed.logLines.length - 1];
+  const lastMarker = parsed.soaMarkers?.[parsed.soaMarkers.length - 1];
+  return Math.max(
+    lastEntry ? lastEntry.endLine ?? lastEntry.line : 0,
+    lastMarker ? lastMarker.line : 0
+  );
+}
+
+/**
+ * Pairs SOA start and end markers into calls. The server handles one request at a time, so a
+ * start while another call is still open ends that call on the line before, flagged `closed:
+ * false`; so does the end of the log. Ends without a matching start are ignored.
+ */
+function pairSoaMarkers(markers, lastLine) {
+  const calls = [];
+  let open = null;
+  for (const marker of markers ?? []) {
+    if (marker.kind === "start") {
+      if (open) {
+        open.endLine = Math.max(open.line, marker.line - 1);
+      }
+      open = {
+        name: marker.name,
+        service: marker.service,
+        operation: marker.operation,
+        line: marker.line,
+        endLine: marker.line,
+        start: marker.timestamp,
+        end: null,
+        elapsed: null,
+        closed: false,
+      };
+      calls.push(open);
+    } else if (open && open.name === marker.name) {
+      open.endLine = marker.line;
+      open.end = marker.timestamp;
+      open.elapsed = marker.elapsed;
+      open.closed = true;
+      open = null;
+    }
+  }
+  if (open) {
+    open.endLine = Math.max(open.line, lastLine);
+  }
+  return calls;
+}
+
+/**
+ * SOA calls with what happened inside each one: `{ name, service, operation, line, endLine,
+ * closed, start, end, duration, sqlStatements, journalRows, errors }`. The duration is the time
+ * the end marker reports, or else the span between the timestamps at the call's boundaries;
+ * calls without an end marker have none. `errors` are the ERROR and FATAL log entries in the span.
+ */
+export function buildSoaCalls(parsed) {
+  const calls = pairSoaMarkers(parsed.soaMarkers, lastParsedLine(parsed));
+  if (!calls.length) {
+    return calls;
+  }
+  const timed = (parsed.logLines ?? []).filter((entry) => entry.timestamp);
+  const errors = (parsed.logLines ?? []).filter((entry) =>
+    ERROR_LEVELS.has(entry.level)
+  );
+  const journalRows = (parsed.journalSections ?? [])
+    .flatMap((section) => section.rows ?? [])
+    .sort((a, b) => a.line - b.line);
+  const sqlLines = parsed.inlineSqlLines ?? [];
+  return calls.map((call) => {
+    const start =
+      call.start ?? findLastAtOrBefore(timed, call.line)?.timestamp ?? null;
+    const end = call.closed
+      ? call.end ?? findFirstAtOrAfter(timed, call.endLine)?.timestamp ?? null
+      : null;
+    const startTime = parseSyslogTimestamp(start);
+    const endTime = parseSyslogTimestamp(end);
+    return {
+      ...call,
+      start,
+      end,
+      duration:
+        call.elapsed ??
+        (startTime !== null && endTime !== null
+          ? Math.max(0, endTime - startTime)
+          : null),
+      sqlStatements: countInLineRange(sqlLines, call.line, call.endLine),
+      journalRows: countInLineRange(journalRows, call.line, call.endLine),
+      errors: sliceLineRange(errors, call.line, call.endLine),
+    };
+  });
+}
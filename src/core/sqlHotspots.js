@@ -0,0 +1,53 @@
+import { formatSeconds } from "../util/helpers.js";
+
+/**
+ * Metrics the SQL Hotspots view can rank by, in the order offered to the user.
+ */
+export const SQL_HOTSPOT_METRICS = [
+  { key: "time", label: "Total Time", format: (value) => formatSeconds(value) },
+  { key: "dbTime", label: "DB Time", format: (value) => formatSeconds(value) },
+  { key: "calls", label: "Calls", format: (value) => `${value} calls` },
+  { key: "rows", label: "Rows", format: (value) => `${value} rows` },
+];
+
+/**
+ * Aggregates the rows of every SQL_PROFILE_DUMP in a file by statement fingerprint, so queries
+ * that only differ in literals count as one. Each hotspot sums calls, times, trips and rows over
+ * all dumps and keeps the dump rows it came from.
+ */
+export function buildSqlHotspots(sqlDumps) {
+  const byStatement = new Map();
+  (sqlDumps ?? []).forEach((dump, dumpIndex) => {
+    for (const row of dump.rows ?? []) {
+      if (typeof row.sql !== "string" || !row.sql) {
+        continue;
+      }
+      const key = row.fingerprint ?? row.sql;
+      let hotspot = byStatement.get(key);
+      if (!hotspot) {
+        hotspot = {
+          fingerprint: row.fingerprint,
+          sql: row.normalized || row.sql,
+          tables: row.tables ?? [],
+          columns: row.columns ?? [],
+          calls: 0,
+          time: 0,
+          dbTime: 0,
+          execTime: 0,
+          trips: 0,
+          rows: 0,
+          occurrences: [],
+        };
+        byStatement.set(key, hotspot);
+      }
+      hotspot.calls += row.calls;
+      hotspot.time += row.time;
+      hotspot.dbTime += row.dbTime;
+      hotspot.execTime += row.execTime;
+      hotspot.trips += row.trips;
+      hotspot.rows += row.rows;
+      hotspot.occurrences.push({ dumpIndex, dumpLine: dump.line, row });
+    }
+  });
+  return Array.from(byStatement.values());
+}
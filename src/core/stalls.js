@@ -0,0 +1,28 @@
+export const DEFAULT_STALL_THRESHOLD_SECONDS = 5;
+export const DEFAULT_STALL_LIMIT = 20;
+
+/**
+ * The `limit` largest silences between consecutive timestamped log entries that last at least
+ * `thresholdSeconds`, largest first: `{ gap, before, after }` with `gap` in milliseconds and the
+ * entries on either side of it.
+ */
+export function findStalls(
+  logLines,
+  {
+    thresholdSeconds = DEFAULT_STALL_THRESHOLD_SECONDS,
+    limit = DEFAULT_STALL_LIMIT,
+  } = {}
+) {
+  const entries = logLines ?? [];
+  const threshold = thresholdSeconds * 1000;
+  const stalls = [];
+  for (let index = 1; index < entries.length; index += 1) {
+    const after = entries[index];
+    if (typeof after.gap === "number" && after.gap >= threshold) {
+      stalls.push({ gap: after.gap, before: entries[index - 1], after });
+    }
+  }
+  return stalls
+    .sort((a, b) => b.gap - a.gap || a.after.line - b.after.line)
+    .slice(0, Math.max(0, limit));
+}
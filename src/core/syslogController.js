@@ -1,10 +1,11 @@
 import * as vscode from "vscode";
-import { parseTeamcenterLog } from "../parse/tcServerSyslogParser.js";
+import path from "node:path";
 
 import {
   LEVEL_ORDER,
   LEVEL_CONFIG_OVERRIDES,
   FIND_OCCURRENCES_LIMIT,
+  NODE_CONTEXT,
 } from "../util/constants.js";
 import {
   collectNodeClipboardTexts,
@@ -14,12 +15,52 @@ import {
   truncate,
 } from "../util/helpers.js";
 import {
+  HotspotsTreeDataProvider,
   OccurrencesTreeDataProvider,
   SyslogTreeDataProvider,
 } from "../ui/general/treeProviders.js";
+import { FlameGraphPanel } from "../ui/panels/editorPanel/flameGraphPanel.js";
 import { FavoritesManager } from "./favoritesManager.js";
+import { FollowManager } from "./followManager.js";
 import { AiChatManager } from "./aiChatManager.js";
-import { buildTreeModel } from "./treeModel.js";
+import { ParseJobManager } from "./parseJobManager.js";
+import {
+  buildCallTreeFocusNode,
+  buildJournalHotspotNodes,
+  buildSqlHotspotNodes,
+  buildTreeModel,
+  findNodeById,
+  patchTreeModel,
+} from "./treeModel.js";
+import { SQL_HOTSPOT_METRICS } from "./sqlHotspots.js";
+import { JOURNAL_HOTSPOT_METRICS } from "./journalHotspots.js";
+import { describeLogId, filterParsedByTimeRange } from "./parsedFilter.js";
+import { buildTimeline } from "./timeline.js";
+import {
+  describeTimeRange,
+  describeTimeRangeInput,
+  describeTreeFilter,
+  normalizeTreeFilter,
+  parseTimeRangeInput,
+} from "./treeFilter.js";
+import {
+  DEFAULT_STALL_LIMIT,
+  DEFAULT_STALL_THRESHOLD_SECONDS,
+} from "./stalls.js";
+import { buildNodeFlameGraph } from "./flameGraph.js";
+import {
+  applyParseDelta,
+  findOwningEntry,
+  findParsedAnchor,
+  timeAtLine,
+} from "../parse/tcServerSyslogParser.js";
+import { substituteBinds } from "../parse/sqlAnalysis.js";
+import { formatSql } from "../util/sqlFormatter.js";
+import { PomMapping, loadPomMapping } from "../util/pomMapping.js";
+import { ErrorCodeDictionary, loadErrorCodes } from "../util/errorCodes.js";
+
+// Plain-text SQL lines may carry a "SQL:" label in front of the statement.
+const SQL_PREFIX_REGEX = /^\s*SQL\s*[:>\-=]?\s*/i;
 
 /**
  * Central controller responsible for parsing logs, wiring tree views, and coordinating decorations.
@@ -61,6 +102,7 @@ export class SyslogController {
     this.currentUri = null;
     this.refreshTimer = undefined;
     this.pendingDocument = undefined;
+    this.pendingChangeLine = undefined;
     this.levelDecorationTypes = new Map();
     this.levelBackgroundDecorationTypes = new Map();
     this.headerDecorationType = undefined;
@@ -77,6 +119,10 @@ export class SyslogController {
     this.workflowHandlerDecorationType = undefined;
     this.baseFontDecorationType = undefined;
     this.latestParsed = null;
+    this.latestModel = null;
+    this.decorationRanges = new Map();
+    this.parseJobs = new ParseJobManager();
+    this.activeParseJob = undefined;
     this.favoritesManager = new FavoritesManager(
       this,
       context,
@@ -101,11 +147,56 @@ export class SyslogController {
       this.occurrencesView.message =
         "Run Find All Occurrences to populate results.";
     }
+
+    const sqlHotspotsView = panel?.sqlHotspots;
+    if (sqlHotspotsView) {
+      this.sqlHotspotsProvider = sqlHotspotsView.treeDataProvider;
+      this.sqlHotspotsView = sqlHotspotsView.treeView;
+    } else {
+      this.sqlHotspotsProvider = new HotspotsTreeDataProvider(
+        SQL_HOTSPOT_METRICS
+      );
+      this.sqlHotspotsView = vscode.window.createTreeView(
+        "tcSyslogViewerSqlHotspots",
+        {
+          treeDataProvider: this.sqlHotspotsProvider,
+        }
+      );
+      this.context.subscriptions.push(this.sqlHotspotsView);
+    }
+    const journalHotspotsView = panel?.journalHotspots;
+    if (journalHotspotsView) {
+      this.journalHotspotsProvider = journalHotspotsView.treeDataProvider;
+      this.journalHotspotsView = journalHotspotsView.treeView;
+    } else {
+      this.journalHotspotsProvider = new HotspotsTreeDataProvider(
+        JOURNAL_HOTSPOT_METRICS
+      );
+      this.journalHotspotsView = vscode.window.createTreeView(
+        "tcSyslogViewerJournalHotspots",
+        {
+          treeDataProvider: this.journalHotspotsProvider,
+        }
+      );
+      this.context.subscriptions.push(this.journalHotspotsView);
+    }
     this.aiChatManager = new AiChatManager(context);
+    this.followManager = new FollowManager(this, context);
+    this.flameGraphPanel = new FlameGraphPanel(this);
     this.previewDocuments = new Set();
-    this.context.subscriptions.push({
-      dispose: () => this.disposeDecorationTypes(),
-    });
+    this._onDidChangeTimeline = new vscode.EventEmitter();
+    this.pomMapping = this.loadPomMapping();
+    this.errorCodes = this.loadErrorCodes();
+    this.context.subscriptions.push(
+      {
+        dispose: () => this.disposeDecorationTypes(),
+      },
+      {
+        dispose: () => this.parseJobs.dispose(),
+      },
+      this.flameGraphPanel,
+      this._onDidChangeTimeline
+    );
 
     this.reloadDecorationTypes();
 
@@ -127,6 +218,17 @@ export class SyslogController {
           this.reloadDecorationTypes();
           reapplyCurrentDecorations();
         }
+        if (event.affectsConfiguration("tcSyslogViewer.pomMapping")) {
+          this.pomMapping = this.loadPomMapping();
+          this.rebuildTreeModel();
+        }
+        if (event.affectsConfiguration("tcSyslogViewer.errorCodes")) {
+          this.errorCodes = this.loadErrorCodes();
+          this.rebuildTreeModel();
+        }
+        if (event.affectsConfiguration("tcSyslogViewer.stalls")) {
+          this.rebuildTreeModel();
+        }
       }),
       vscode.window.onDidChangeActiveColorTheme(() => {
         this.reloadDecorationTypes();
@@ -154,6 +256,109 @@ export class SyslogController {
     this.refreshActive();
   }
 
+  /**
+   * Built-in POM dictionary extended with the user's mapping file
+   * (`tcSyslogViewer.pomMapping.file`); a broken file is reported and ignored.
+   */
+  loadPomMapping() {
+    const filePath = this.resolveConfiguredFile("pomMapping.file");
+    if (!filePath) {
+      return new PomMapping();
+    }
+    try {
+      return loadPomMapping(filePath);
+    } catch (error) {
+      vscode.window.showWarningMessage(
+        `TC Syslog: unable to load POM mapping ${filePath} - ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      return new PomMapping();
+    }
+  }
+
+  /**
+   * Bundled error code dictionary extended with the user's dictionary
+   * (`tcSyslogViewer.errorCodes.file`); a broken file is reported and ignored.
+   */
+  loadErrorCodes() {
+    const filePath = this.resolveConfiguredFile("errorCodes.file");
+    if (!filePath) {
+      return new ErrorCodeDictionary();
+    }
+    try {
+      return loadErrorCodes(filePath);
+    } catch (error) {
+      vscode.window.showWarningMessage(
+        `TC Syslog: unable to load error code dictionary ${filePath} - ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      return new ErrorCodeDictionary();
+    }
+  }
+
+  /**
+   * Absolute path for a file setting; relative paths and `${workspaceFolder}` resolve against
+   * the first workspace folder. Returns "" when the setting is empty.
+   */
+  resolveConfiguredFile(key) {
+    const configured = vscode.workspace
+      .getConfiguration("tcSyslogViewer")
+      .get(key, "")
+      .trim();
+    if (!configured) {
+      return "";
+    }
+    const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const filePath = configured.replace(
+      "${workspaceFolder}",
+      workspaceRoot ?? ""
+    );
+    return !path.isAbsolute(filePath) && workspaceRoot
+      ? path.join(workspaceRoot, filePath)
+      : filePath;
+  }
+
+  getModelOptions() {
+    return {
+      pomMapping: this.pomMapping,
+      errorCodes: this.errorCodes,
+      idFilter: this.idFilter,
+      timeRange: this.timeRange,
+      stalls: this.getStallOptions(),
+    };
+  }
+
+  getStallOptions() {
+    const config = vscode.workspace.getConfiguration("tcSyslogViewer.stalls");
+    return {
+      thresholdSeconds: config.get(
+        "thresholdSeconds",
+        DEFAULT_STALL_THRESHOLD_SECONDS
+      ),
+      limit: config.get("maxCount", DEFAULT_STALL_LIMIT),
+    };
+  }
+
+  rebuildTreeModel() {
+    if (!this.currentUri || !this.latestParsed) {
+      return;
+    }
+    const document = vscode.workspace.textDocuments.find(
+      (doc) => doc.uri.toString() === this.currentUri.toString()
+    );
+    if (document) {
+      this.renderParsed(document, this.latestParsed, {
+        model: buildTreeModel(
+          this.latestParsed,
+          this.currentUri,
+          this.getModelOptions()
+        ),
+      });
+    }
+  }
+
   shouldReloadDecorations(event) {
     if (!event) {
       return true;
@@ -567,59 +772,87 @@ export class SyslogController {
     }
   }
 
-  applyDecorations(document, parsed) {
-    const target = document.uri.toString();
-    const editors = vscode.window.visibleTextEditors.filter(
-      (editor) => editor.document.uri.toString() === target
+  /**
+   * Decoration types keyed by the range buckets produced in `collectDecorationRanges`.
+   */
+  getDecorationTypeEntries() {
+    const entries = [];
+    for (const [level, decoration] of this.levelDecorationTypes) {
+      entries.push([`level:${level}`, decoration]);
+    }
+    for (const [level, decoration] of this.levelBackgroundDecorationTypes) {
+      entries.push([`levelBackground:${level}`, decoration]);
+    }
+    entries.push(
+      ["timestamp", this.timestampDecorationType],
+      ["id", this.idDecorationType],
+      ["message", this.messageDecorationType],
+      ["journal", this.journalDecorationType],
+      ["sql", this.sqlDecorationType],
+      ["inlineSql", this.inlineSqlDecorationType],
+      ["header", this.headerDecorationType],
+      ["envKey", this.envKeyDecorationType],
+      ["envValue", this.envValueDecorationType],
+      ["hierarchy", this.hierarchyTraceDecorationType],
+      ["access", this.accessCheckDecorationType],
+      ["workflow", this.workflowHandlerDecorationType]
     );
-    if (!editors.length) {
-      return;
-    }
+    return entries.filter(([, decoration]) => decoration);
+  }
 
-    const levelRanges = new Map();
-    for (const level of this.levelDecorationTypes.keys()) {
-      levelRanges.set(level, []);
-    }
-    const levelBackgroundRanges = new Map();
-    for (const level of this.levelBackgroundDecorationTypes.keys()) {
-      levelBackgroundRanges.set(level, []);
-    }
-    const timestampRanges = [];
-    const idRanges = [];
-    const messageRanges = [];
-    const inlineSqlRanges = [];
+  /**
+   * Collects decoration ranges for every parsed item starting at or after `fromLine`.
+   */
+  collectDecorationRanges(document, parsed, fromLine = 0) {
+    const buckets = new Map();
+    const push = (key, range) => {
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(range);
+    };
+    const isInRange = (line) => (line ?? 0) >= fromLine;
+    const lineText = (line) =>
+      line >= 0 && line < document.lineCount ? document.lineAt(line).text : "";
+    const fullLineRange = (startLine, endLine = startLine) => {
+      const normalizedStart = Math.max(0, startLine ?? 0);
+      const normalizedEnd = Math.max(normalizedStart, endLine ?? 0);
+      const endLineLength = lineText(normalizedEnd).length;
+      return new vscode.Range(
+        normalizedStart,
+        0,
+        normalizedEnd,
+        Math.max(0, endLineLength)
+      );
+    };
     const inlineSqlLinesSeen = new Set();
-    const journalRanges = [];
-    const sqlRanges = [];
-    const hierarchyRanges = [];
-    const accessRanges = [];
-    const workflowRanges = [];
 
     for (const entry of parsed.logLines ?? []) {
-      if (!entry.level) {
+      if (!entry.level || !isInRange(entry.line)) {
         continue;
       }
       const lineNumber = entry.line ?? 0;
       const levelStart = entry.levelStart ?? 0;
       const levelEnd = entry.levelEnd ?? levelStart + entry.level.length;
-      const ranges = levelRanges.get(entry.level);
-      if (ranges) {
-        ranges.push(
-          new vscode.Range(
-            lineNumber,
-            Math.max(0, levelStart),
-            lineNumber,
-            Math.max(0, levelEnd)
-          )
-        );
-      }
-      const backgroundRanges = levelBackgroundRanges.get(entry.level);
-      if (backgroundRanges) {
-        backgroundRanges.push(new vscode.Range(lineNumber, 0, lineNumber, 0));
-      }
+      push(
+        `level:${entry.level}`,
+        new vscode.Range(
+          lineNumber,
+          Math.max(0, levelStart),
+          lineNumber,
+          Math.max(0, levelEnd)
+        )
+      );
+      // The background covers the whole entry, continuation lines included.
+      const endLine = Math.max(lineNumber, entry.endLine ?? lineNumber);
+      push(
+        `levelBackground:${entry.level}`,
+        new vscode.Range(lineNumber, 0, endLine, 0)
+      );
 
       if (entry.timestampStart != null && entry.timestampEnd != null) {
-        timestampRanges.push(
+        push(
+          "timestamp",
           new vscode.Range(
             lineNumber,
             Math.max(0, entry.timestampStart),
@@ -629,7 +862,8 @@ export class SyslogController {
         );
       }
       if (entry.idStart != null && entry.idEnd != null) {
-        idRanges.push(
+        push(
+          "id",
           new vscode.Range(
             lineNumber,
             Math.max(0, entry.idStart),
@@ -639,18 +873,19 @@ export class SyslogController {
         );
       }
       if (entry.messageStart != null && entry.messageEnd != null) {
-        const range = new vscode.Range(
-          lineNumber,
-          Math.max(0, entry.messageStart),
-          lineNumber,
-          Math.max(0, entry.messageEnd)
+        push(
+          "message",
+          new vscode.Range(
+            lineNumber,
+            Math.max(0, entry.messageStart),
+            lineNumber,
+            Math.max(0, entry.messageEnd)
+          )
         );
-        messageRanges.push(range);
         if (entry.isInlineSql) {
-          const lineLength =
-            parsed.lines?.[lineNumber]?.length ??
-            Math.max(0, entry.messageEnd ?? entry.messageStart ?? 0);
-          inlineSqlRanges.push(
+          const lineLength = lineText(lineNumber).length;
+          push(
+            "inlineSql",
             new vscode.Range(lineNumber, 0, lineNumber, Math.max(0, lineLength))
           );
           inlineSqlLinesSeen.add(lineNumber);
@@ -660,108 +895,77 @@ export class SyslogController {
 
     for (const inlineEntry of parsed.inlineSqlLines ?? []) {
       const lineIndex = inlineEntry.line ?? 0;
-      if (inlineSqlLinesSeen.has(lineIndex)) {
+      if (!isInRange(lineIndex) || inlineSqlLinesSeen.has(lineIndex)) {
         continue;
       }
-      const lineLength =
-        parsed.lines?.[lineIndex]?.length ?? inlineEntry.text?.length ?? 0;
-      inlineSqlRanges.push(
+      const lineLength = lineText(lineIndex).length;
+      push(
+        "inlineSql",
         new vscode.Range(lineIndex, 0, lineIndex, Math.max(0, lineLength))
       );
       inlineSqlLinesSeen.add(lineIndex);
     }
 
     for (const section of parsed.journalSections ?? []) {
-      const startLine = section.line ?? 0;
-      const endLine = section.endLine ?? section.line ?? 0;
-      const normalizedStart = Math.max(0, startLine);
-      const normalizedEnd = Math.max(normalizedStart, endLine);
-      const endLineLength = parsed.lines?.[normalizedEnd]?.length ?? 0;
-      journalRanges.push(
-        new vscode.Range(
-          normalizedStart,
-          0,
-          normalizedEnd,
-          Math.max(0, endLineLength)
-        )
-      );
+      if (isInRange(section.line)) {
+        push("journal", fullLineRange(section.line, section.endLine));
+      }
+    }
+
+    for (const block of parsed.sessionTotals ?? []) {
+      if (isInRange(block.line)) {
+        push("journal", fullLineRange(block.line, block.endLine));
+      }
     }
 
     for (const trace of parsed.journalHierarchyTraces ?? []) {
-      const startLine = trace.line ?? 0;
-      const endLine = trace.endLine ?? trace.line ?? startLine;
-      const normalizedStart = Math.max(0, startLine);
-      const normalizedEnd = Math.max(normalizedStart, endLine);
-      const endLineLength = parsed.lines?.[normalizedEnd]?.length ?? 0;
-      hierarchyRanges.push(
-        new vscode.Range(
-          normalizedStart,
-          0,
-          normalizedEnd,
-          Math.max(0, endLineLength)
-        )
-      );
+      if (isInRange(trace.line)) {
+        push("hierarchy", fullLineRange(trace.line, trace.endLine));
+      }
     }
 
     for (const dump of parsed.sqlDumps ?? []) {
-      const startLine = dump.line ?? 0;
-      const endLine = dump.endLine ?? dump.line ?? 0;
-      const normalizedStart = Math.max(0, startLine);
-      const normalizedEnd = Math.max(normalizedStart, endLine);
-      const endLineLength = parsed.lines?.[normalizedEnd]?.length ?? 0;
-      sqlRanges.push(
-        new vscode.Range(
-          normalizedStart,
-          0,
-          normalizedEnd,
-          Math.max(0, endLineLength)
-        )
-      );
+      if (isInRange(dump.line)) {
+        push("sql", fullLineRange(dump.line, dump.endLine));
+      }
     }
 
     for (const access of parsed.accessChecks ?? []) {
-      const lineIndex = access.line ?? 0;
-      const normalizedLine = Math.max(0, lineIndex);
-      const length = parsed.lines?.[normalizedLine]?.length ?? 0;
-      accessRanges.push(
-        new vscode.Range(normalizedLine, 0, normalizedLine, Math.max(0, length))
-      );
+      if (isInRange(access.line)) {
+        push("access", fullLineRange(access.line, access.endLine));
+      }
     }
 
     for (const handler of parsed.workflowHandlers ?? []) {
+      if (!isInRange(handler.line)) {
+        continue;
+      }
       const startLine = Math.max(0, handler.line ?? 0);
-      const endLine = Math.max(
-        startLine,
-        handler.endLine ?? handler.line ?? startLine
-      );
-      const startLength = parsed.lines?.[startLine]?.length ?? 0;
-      workflowRanges.push(
-        new vscode.Range(startLine, 0, startLine, Math.max(0, startLength))
-      );
-      if (endLine !== startLine) {
-        const endLength = parsed.lines?.[endLine]?.length ?? 0;
-        workflowRanges.push(
-          new vscode.Range(endLine, 0, endLine, Math.max(0, endLength))
-        );
+      const endLine = Math.max(startLine, handler.endLine ?? startLine);
+      push("workflow", fullLineRange(startLine));
+      if (handler.closed !== false && endLine !== startLine) {
+        push("workflow", fullLineRange(endLine));
       }
     }
 
-    const headerRanges = (parsed.header?.lines ?? []).map((lineInfo) => {
-      const lineIndex = lineInfo.line ?? 0;
-      const textLength = parsed.lines?.[lineIndex]?.length ?? 0;
-      return new vscode.Range(lineIndex, 0, lineIndex, Math.max(0, textLength));
-    });
+    for (const lineInfo of parsed.header?.lines ?? []) {
+      if (isInRange(lineInfo.line)) {
+        push("header", fullLineRange(lineInfo.line));
+      }
+    }
 
-    const envKeyRanges = [];
-    const envValueRanges = [];
     for (const section of parsed.envSections ?? []) {
       for (const entry of section.entries ?? []) {
+        if (!isInRange(entry.line)) {
+          continue;
+        }
         const lineIndex = entry.line ?? 0;
-        const lineText = parsed.lines?.[lineIndex] ?? "";
-        const leadingSpaces = lineText.match(/^[ 	]*/)?.[0]?.length ?? 0;
+        const text = lineText(lineIndex);
+        const leadingSpaces = text.match(/^[ 	]*/)?.[0]?.length ?? 0;
         const keyStart = leadingSpaces;
         const keyEnd = keyStart + entry.key.length;
-        envKeyRanges.push(
+        push(
+          "envKey",
           new vscode.Range(
             lineIndex,
             keyStart,
@@ -769,75 +973,65 @@ export class SyslogController {
             Math.max(keyStart, keyEnd)
           )
         );
-        const equalsIndex = lineText.indexOf("=");
+        const equalsIndex = text.indexOf("=");
         if (equalsIndex !== -1) {
           let valueStart = equalsIndex + 1;
-          while (valueStart < lineText.length && lineText[valueStart] === " ") {
+          while (valueStart < text.length && text[valueStart] === " ") {
             valueStart += 1;
           }
-          envValueRanges.push(
+          push(
+            "envValue",
             new vscode.Range(
               lineIndex,
               valueStart,
               lineIndex,
-              Math.max(valueStart, lineText.length)
+              Math.max(valueStart, text.length)
             )
           );
         }
       }
     }
 
-    for (const editor of editors) {
-      for (const [level, decoration] of this.levelDecorationTypes) {
-        editor.setDecorations(decoration, levelRanges.get(level) ?? []);
-      }
-      for (const [level, decoration] of this.levelBackgroundDecorationTypes) {
-        editor.setDecorations(
-          decoration,
-          levelBackgroundRanges.get(level) ?? []
-        );
-      }
-      if (this.timestampDecorationType) {
-        editor.setDecorations(this.timestampDecorationType, timestampRanges);
-      }
-      if (this.idDecorationType) {
-        editor.setDecorations(this.idDecorationType, idRanges);
-      }
-      if (this.messageDecorationType) {
-        editor.setDecorations(this.messageDecorationType, messageRanges);
-      }
-      if (this.journalDecorationType) {
-        editor.setDecorations(this.journalDecorationType, journalRanges);
-      }
-      if (this.sqlDecorationType) {
-        editor.setDecorations(this.sqlDecorationType, sqlRanges);
-      }
-      if (this.inlineSqlDecorationType) {
-        editor.setDecorations(this.inlineSqlDecorationType, inlineSqlRanges);
-      }
-      if (this.headerDecorationType) {
-        editor.setDecorations(this.headerDecorationType, headerRanges);
-      }
-      if (this.envKeyDecorationType) {
-        editor.setDecorations(this.envKeyDecorationType, envKeyRanges);
-      }
-      if (this.envValueDecorationType) {
-        editor.setDecorations(this.envValueDecorationType, envValueRanges);
-      }
-      if (this.hierarchyTraceDecorationType) {
-        editor.setDecorations(
-          this.hierarchyTraceDecorationType,
-          hierarchyRanges
-        );
-      }
-      if (this.accessCheckDecorationType) {
-        editor.setDecorations(this.accessCheckDecorationType, accessRanges);
+    return buckets;
+  }
+
+  /**
+   * Applies decorations for `parsed`. With `options.fromLine`, ranges above that line are reused
+   * from the previous call for the same document and only the rest is recomputed.
+   */
+  applyDecorations(document, parsed, options = {}) {
+    const target = document.uri.toString();
+    const editors = vscode.window.visibleTextEditors.filter(
+      (editor) => editor.document.uri.toString() === target
+    );
+    if (!editors.length) {
+      this.decorationRanges.delete(target);
+      return;
+    }
+
+    // A time window redraws everything; incremental patches only apply to the full log.
+    const fromLine = this.timeRange ? 0 : options.fromLine ?? 0;
+    const cached = this.decorationRanges.get(target);
+    const source = this.timeRange
+      ? filterParsedByTimeRange(parsed, this.timeRange)
+      : parsed;
+    const buckets = this.collectDecorationRanges(
+      document,
+      source,
+      cached ? fromLine : 0
+    );
+    if (cached && fromLine > 0) {
+      for (const [key, ranges] of cached) {
+        const kept = ranges.filter((range) => range.start.line < fromLine);
+        buckets.set(key, kept.concat(buckets.get(key) ?? []));
       }
-      if (this.workflowHandlerDecorationType) {
-        editor.setDecorations(
-          this.workflowHandlerDecorationType,
-          workflowRanges
-        );
+    }
+    this.decorationRanges.set(target, buckets);
+
+    const decorationTypes = this.getDecorationTypeEntries();
+    for (const editor of editors) {
+      for (const [key, decoration] of decorationTypes) {
+        editor.setDecorations(decoration, buckets.get(key) ?? []);
       }
       if (this.baseFontDecorationType) {
         const doc = editor.document;
@@ -858,6 +1052,7 @@ export class SyslogController {
     if (!uriString) {
       return;
     }
+    this.decorationRanges.delete(uriString);
     const editors = vscode.window.visibleTextEditors.filter(
       (editor) => editor.document.uri.toString() === uriString
     );
@@ -865,49 +1060,11 @@ export class SyslogController {
       return;
     }
 
+    const decorationTypes = this.getDecorationTypeEntries();
     for (const editor of editors) {
-      for (const decoration of this.levelDecorationTypes.values()) {
+      for (const [, decoration] of decorationTypes) {
         editor.setDecorations(decoration, []);
       }
-      for (const decoration of this.levelBackgroundDecorationTypes.values()) {
-        editor.setDecorations(decoration, []);
-      }
-      if (this.timestampDecorationType) {
-        editor.setDecorations(this.timestampDecorationType, []);
-      }
-      if (this.idDecorationType) {
-        editor.setDecorations(this.idDecorationType, []);
-      }
-      if (this.messageDecorationType) {
-        editor.setDecorations(this.messageDecorationType, []);
-      }
-      if (this.inlineSqlDecorationType) {
-        editor.setDecorations(this.inlineSqlDecorationType, []);
-      }
-      if (this.sqlDecorationType) {
-        editor.setDecorations(this.sqlDecorationType, []);
-      }
-      if (this.journalDecorationType) {
-        editor.setDecorations(this.journalDecorationType, []);
-      }
-      if (this.hierarchyTraceDecorationType) {
-        editor.setDecorations(this.hierarchyTraceDecorationType, []);
-      }
-      if (this.accessCheckDecorationType) {
-        editor.setDecorations(this.accessCheckDecorationType, []);
-      }
-      if (this.workflowHandlerDecorationType) {
-        editor.setDecorations(this.workflowHandlerDecorationType, []);
-      }
-      if (this.headerDecorationType) {
-        editor.setDecorations(this.headerDecorationType, []);
-      }
-      if (this.envKeyDecorationType) {
-        editor.setDecorations(this.envKeyDecorationType, []);
-      }
-      if (this.envValueDecorationType) {
-        editor.setDecorations(this.envValueDecorationType, []);
-      }
       if (this.baseFontDecorationType) {
         editor.setDecorations(this.baseFontDecorationType, []);
       }
@@ -958,23 +1115,61 @@ export class SyslogController {
     if (event.document.uri.toString() !== this.currentUri.toString()) {
       return;
     }
+    const changedLines = event.contentChanges.map(
+      (change) => change.range.start.line
+    );
+    if (this.followManager.isFollowing(event.document.uri)) {
+      if (!event.document.isDirty) {
+        // VS Code reloaded the followed file from disk; the watcher already parses the new bytes.
+        if (changedLines.length && this.latestParsed) {
+          this.showFollowedTail(
+            event.document,
+            findParsedAnchor(this.latestParsed, Math.min(...changedLines))
+          );
+        }
+        return;
+      }
+      this.followManager.stop();
+      vscode.window.showInformationMessage(
+        "TC Syslog: stopped following because the syslog has unsaved changes."
+      );
+    }
     this.pendingDocument = event.document;
+    for (const line of changedLines) {
+      this.pendingChangeLine =
+        this.pendingChangeLine === undefined
+          ? line
+          : Math.min(this.pendingChangeLine, line);
+    }
     if (this.refreshTimer) {
       clearTimeout(this.refreshTimer);
     }
     this.refreshTimer = setTimeout(() => {
-      this.refresh(this.pendingDocument);
+      const document = this.pendingDocument;
+      const fromLine = this.pendingChangeLine;
       this.refreshTimer = undefined;
       this.pendingDocument = undefined;
+      this.pendingChangeLine = undefined;
+      if (fromLine === undefined) {
+        return;
+      }
+      this.reparseChanged(document, fromLine);
     }, 300);
   }
 
   clearView(message) {
+    this.cancelActiveParse();
+    this.followManager.stop();
     if (this.currentUri) {
       this.clearDecorations(this.currentUri.toString());
     }
     this.currentUri = null;
     this.latestParsed = null;
+    this.latestModel = null;
+    this.callTreeFocusId = undefined;
+    this.setIdFilter(undefined);
+    this.setTimeRangeState(undefined);
+    this.setTreeFilter(null);
     this.treeDataProvider.clear();
     this.extraTreeDataProvider.clear();
     this.treeView.message = message;
@@ -985,15 +1180,36 @@ export class SyslogController {
       this.occurrencesView.message =
         "Run Find All Occurrences to populate results.";
     }
+    this.sqlHotspotsProvider.clear();
+    this.sqlHotspotsView.message =
+      "Open a .syslog file with SQL_PROFILE_DUMP sections to rank its SQL.";
+    this.journalHotspotsProvider.clear();
+    this.journalHotspotsView.message =
+      "Open a .syslog file with JOURNALLED_TIMES sections to rank its functions.";
     this.aiChatManager?.resetConversation();
   }
 
   refreshActive() {
     const active = vscode.window.activeTextEditor?.document;
-    this.refresh(active);
+    return this.refresh(active);
   }
 
-  refresh(document) {
+  cancelActiveParse() {
+    if (this.activeParseJob) {
+      this.activeParseJob.cancel();
+      this.activeParseJob = undefined;
+    }
+  }
+
+  getParseSource(document) {
+    // Saved files are streamed by the worker from disk; only unsaved text is copied across.
+    if (document.uri.scheme === "file" && !document.isDirty) {
+      return { filePath: document.uri.fsPath };
+    }
+    return { content: document.getText() };
+  }
+
+  async refresh(document) {
     if (!document || !isSyslogDocument(document)) {
       this.clearView("Open a .syslog file to see parsed categories.");
       return;
@@ -1006,12 +1222,44 @@ export class SyslogController {
       this.clearDecorations(this.currentUri.toString());
     }
 
-    const content = document.getText();
+    if (!this.followManager.isFollowing(document.uri)) {
+      this.followManager.stop();
+    }
+
+    // Only the most recent request matters; a stale job is dropped as soon as the worker
+    // reaches its next cancellation checkpoint.
+    this.cancelActiveParse();
     void this.favoritesManager.setActiveDocument(document, null);
+    const job = this.parseJobs.parse(this.getParseSource(document), {
+      sessionKey: document.uri.toString(),
+    });
+    this.activeParseJob = job;
+    if (
+      !this.currentUri ||
+      this.currentUri.toString() !== document.uri.toString()
+    ) {
+      this.treeView.message = "Parsing syslog...";
+    }
     let parsed;
     try {
-      parsed = parseTeamcenterLog(content);
+      parsed = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Window,
+          title: "TC Syslog",
+        },
+        (progress) => {
+          job.onProgress = ({ stage, fraction }) => {
+            const percent = Math.round((fraction ?? 0) * 100);
+            progress.report({ message: `${stage} (${percent}%)` });
+          };
+          return job.promise;
+        }
+      );
     } catch (error) {
+      if (this.activeParseJob !== job) {
+        return;
+      }
+      this.activeParseJob = undefined;
       this.treeDataProvider.clear();
       this.extraTreeDataProvider.clear();
       const message = error instanceof Error ? error.message : String(error);
@@ -1020,40 +1268,652 @@ export class SyslogController {
         "Open a .syslog file to see extra categories.";
       this.clearDecorations(document.uri.toString());
       this.latestParsed = null;
+      this.latestModel = null;
       vscode.window.showErrorMessage(
         `TC Syslog: unable to parse file - ${message}`
       );
       return;
     }
+    if (this.activeParseJob !== job || !parsed) {
+      return;
+    }
+    this.activeParseJob = undefined;
+    if (this.currentUri?.toString() !== document.uri.toString()) {
+      this.callTreeFocusId = undefined;
+      this.setIdFilter(undefined);
+      this.setTimeRangeState(undefined);
+      this.setTreeFilter(null);
+    }
     this.currentUri = document.uri;
+    this.renderParsed(document, parsed, {
+      model: buildTreeModel(parsed, document.uri, this.getModelOptions()),
+    });
+    void this.favoritesManager.setActiveDocument(document, parsed);
+  }
+
+  /**
+   * Re-parses an edited document from the parser anchor nearest to `fromLine` and patches the
+   * trees and decorations in place. Falls back to a full refresh whenever the worker cannot resume.
+   */
+  async reparseChanged(document, fromLine) {
+    if (
+      !this.latestParsed ||
+      this.activeParseJob ||
+      !this.currentUri ||
+      this.currentUri.toString() !== document.uri.toString()
+    ) {
+      return this.refresh(document);
+    }
+    const sessionKey = document.uri.toString();
+    // The worker resumes from an anchor and no longer has the text above the edit.
+    const anchor = findParsedAnchor(this.latestParsed, fromLine);
+    const lastLine = document.lineAt(Math.max(0, document.lineCount - 1));
+    const content = document.getText(
+      new vscode.Range(
+        anchor,
+        0,
+        lastLine.range.end.line,
+        lastLine.range.end.character
+      )
+    );
+    const job = this.parseJobs.reparse({
+      sessionKey,
+      fromLine: anchor,
+      content,
+      revision: this.latestParsed.revision,
+    });
+    await this.runIncrementalJob(document, job);
+  }
+
+  /**
+   * Waits for a reparse/append job and patches the current result with its delta. Returns the
+   * delta, or `undefined` when the job was superseded or a full refresh had to take over.
+   */
+  async runIncrementalJob(document, job) {
+    this.activeParseJob = job;
+    let outcome;
+    try {
+      outcome = await job.promise;
+    } catch (error) {
+      if (this.activeParseJob === job) {
+        this.activeParseJob = undefined;
+        await this.refresh(document);
+      }
+      return undefined;
+    }
+    if (this.activeParseJob !== job || !outcome) {
+      return undefined;
+    }
+    this.activeParseJob = undefined;
+    if (outcome.resync || !outcome.delta) {
+      await this.refresh(document);
+      return undefined;
+    }
+    const parsed = this.latestParsed;
+    const changedKeys = applyParseDelta(parsed, outcome.delta);
+    const patch = patchTreeModel(
+      this.latestModel,
+      parsed,
+      changedKeys,
+      this.getModelOptions()
+    );
+    this.renderParsed(document, parsed, {
+      model: patch,
+      changedNodes: patch.changedNodes,
+      changedKeys,
+      fromLine: outcome.delta.anchorLine,
+    });
+    this.favoritesManager.updateParsed(parsed);
+    return outcome.delta;
+  }
+
+  async followActive() {
+    const document = vscode.window.activeTextEditor?.document;
+    if (!document || !isSyslogDocument(document)) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: open a .syslog file to follow it."
+      );
+      return;
+    }
+    if (document.isDirty) {
+      vscode.window.showWarningMessage(
+        "TC Syslog: save or revert the syslog before following it."
+      );
+      return;
+    }
+    if (
+      !this.latestParsed ||
+      this.currentUri?.toString() !== document.uri.toString()
+    ) {
+      await this.refresh(document);
+    }
+    if (this.followManager.start(document, this.latestParsed)) {
+      this.showFollowedTail(document);
+    }
+  }
+
+  stopFollowing() {
+    this.followManager.stop();
+  }
+
+  /**
+   * Parses the bytes appended to the followed file and reports new entries to the follow manager.
+   */
+  async appendFromDisk(uri) {
+    const uriKey = uri.toString();
+    const document = vscode.workspace.textDocuments.find(
+      (doc) => doc.uri.toString() === uriKey
+    );
+    if (!document || this.currentUri?.toString() !== uriKey) {
+      return;
+    }
+    if (this.activeParseJob || !this.latestParsed) {
+      // Try again once the running parse has finished.
+      this.followManager.schedule();
+      return;
+    }
+    const job = this.parseJobs.append({
+      sessionKey: uriKey,
+      filePath: uri.fsPath,
+      revision: this.latestParsed.revision,
+    });
+    const delta = await this.runIncrementalJob(document, job);
+    if (delta) {
+      this.followManager.recordEntries(delta.collections.logLines?.items);
+    }
+  }
+
+  /**
+   * Re-applies decorations from `fromLine` on and scrolls every editor of the followed document
+   * to its last line. `fromLine` has to be a parser anchor: ranges above it are reused, and an
+   * entry or block that started above an arbitrary line may have grown through it.
+   */
+  showFollowedTail(document, fromLine = 0) {
+    if (this.latestParsed) {
+      this.applyDecorations(document, this.latestParsed, { fromLine });
+    }
+    const lastLine = Math.max(0, document.lineCount - 1);
+    const target = document.uri.toString();
+    for (const editor of vscode.window.visibleTextEditors) {
+      if (editor.document.uri.toString() === target) {
+        editor.revealRange(
+          new vscode.Range(lastLine, 0, lastLine, 0),
+          vscode.TextEditorRevealType.Default
+        );
+      }
+    }
+  }
+
+  /**
+   * Pushes a parsed result into the explorer trees, the hotspot views and the editor decorations.
+   * After an incremental parse, `options.changedKeys` lists the result fields that changed.
+   */
+  renderParsed(document, parsed, options) {
+    const { model, changedNodes, changedKeys, fromLine } = options;
     this.latestParsed = parsed;
-    const model = buildTreeModel(parsed, document.uri);
-    const basicIds = new Set(["root:overview", "root:levels"]);
+    this.latestModel = model;
+    const basicIds = new Set([
+      "root:overview",
+      "root:startup",
+      "root:errorCodes",
+      "root:stalls",
+      "root:levels",
+      "root:logIds",
+    ]);
     const basicNodes = (model.nodes ?? []).filter((node) =>
       basicIds.has(node.id)
     );
-    const extraNodes = (model.nodes ?? []).filter(
-      (node) => !basicIds.has(node.id)
+    const extraNodes = this.withCallTreeFocus(
+      (model.nodes ?? []).filter((node) => !basicIds.has(node.id))
+    );
+    const timeAt = (line) => timeAtLine(parsed, line);
+    const entryAt = (line) => findOwningEntry(parsed, line);
+    const lineText = (line) =>
+      line < document.lineCount ? document.lineAt(line).text : "";
+    this.treeDataProvider.setModel(
+      {
+        resource: model.resource,
+        nodes: basicNodes,
+        timeAt,
+        entryAt,
+        lineText,
+      },
+      {
+        changedNodes: changedNodes?.filter((node) => basicIds.has(node.id)),
+      }
+    );
+    this.extraTreeDataProvider.setModel(
+      {
+        resource: model.resource,
+        nodes: extraNodes,
+        timeAt,
+        entryAt,
+        lineText,
+      },
+      {
+        changedNodes: changedNodes
+          ?.filter((node) => !basicIds.has(node.id))
+          .concat(
+            changedNodes.some((node) => node.id === "root:journal")
+              ? extraNodes.filter((node) => node.id === "root:callTreeFocus")
+              : []
+          ),
+      }
+    );
+    this.updateTreeViewMessages();
+    if (!changedKeys || changedKeys.has("sqlDumps")) {
+      this.updateSqlHotspots(parsed, model.resource);
+    }
+    if (!changedKeys || changedKeys.has("journalSections")) {
+      this.updateJournalHotspots(parsed, model.resource);
+    }
+    if (!changedKeys || changedKeys.has("logLines")) {
+      this._onDidChangeTimeline.fire();
+    }
+    this.applyDecorations(document, parsed, { fromLine });
+  }
+
+  /**
+   * Puts the focused call subtree, if any, in front of the extra categories. The focus is dropped
+   * once its call no longer exists in the parsed trace.
+   */
+  withCallTreeFocus(extraNodes) {
+    if (!this.callTreeFocusId) {
+      return extraNodes;
+    }
+    const journalRoot = extraNodes.find((node) => node.id === "root:journal");
+    const focused = findNodeById(journalRoot?.children, this.callTreeFocusId);
+    if (!focused) {
+      this.callTreeFocusId = undefined;
+      return extraNodes;
+    }
+    return [buildCallTreeFocusNode(focused), ...extraNodes];
+  }
+
+  showFlameGraph(node) {
+    const target = this.resolveNodeForCommand(node);
+    const parsed = this.ensureParsedModel();
+    if (!parsed) {
+      return;
+    }
+    const graph = buildNodeFlameGraph(parsed, target);
+    if (!graph) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: select a JOURNAL_HIERARCHY_TRACE or JOURNALLED_TIMES section."
+      );
+      return;
+    }
+    if (!graph.children.length) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: this journal has no timed rows to draw."
+      );
+      return;
+    }
+    this.flameGraphPanel.show(graph, {
+      title: `Flame Graph: ${target.label}`,
+      resource: this.currentUri,
+    });
+  }
+
+  focusCallSubtree(node) {
+    const target = this.resolveNodeForCommand(node);
+    if (!target || target.contextValue !== NODE_CONTEXT.CALL_TREE) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: select a JOURNAL_HIERARCHY_TRACE call to focus on."
+      );
+      return;
+    }
+    this.callTreeFocusId = target.id.replace(/^(?:focus:)+/, "");
+    this.rebuildTreeModel();
+  }
+
+  clearCallSubtreeFocus() {
+    this.callTreeFocusId = undefined;
+    this.rebuildTreeModel();
+  }
+
+  /**
+   * Restricts the explorer categories to one log ID: the selected "By ID" group, or one picked
+   * from the IDs in the current syslog.
+   */
+  async filterById(node) {
+    let id = node?.contextValue === NODE_CONTEXT.ID_GROUP ? node.logId : null;
+    if (typeof id !== "string") {
+      id = await this.pickLogId(
+        "Show only the entries logged with this ID",
+        this.idFilter
+      );
+      if (typeof id !== "string") {
+        return;
+      }
+    }
+    this.setIdFilter(id);
+    this.rebuildTreeModel();
+  }
+
+  /**
+   * Quick pick of the log IDs in the current syslog with their entry counts. Resolves to the
+   * picked ID, or undefined when cancelled or there is nothing to pick.
+   */
+  async pickLogId(placeHolder, current) {
+    const counts = new Map();
+    for (const entry of this.latestParsed?.logLines ?? []) {
+      counts.set(entry.id, (counts.get(entry.id) ?? 0) + 1);
+    }
+    if (!counts.size) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: the active syslog has no log entries to filter."
+      );
+      return undefined;
+    }
+    const picked = await vscode.window.showQuickPick(
+      Array.from(counts.entries()).map(([value, count]) => ({
+        label: describeLogId(value),
+        description: `${count} entries${value === current ? " · current" : ""}`,
+        value,
+      })),
+      { placeHolder }
     );
-    this.treeDataProvider.setModel({
-      resource: model.resource,
-      nodes: basicNodes,
+    return picked?.value;
+  }
+
+  clearIdFilter() {
+    this.setIdFilter(undefined);
+    this.rebuildTreeModel();
+  }
+
+  /**
+   * Edits one part of the Basic/Extra tree filter: text, regular expression or levels, or sets
+   * the ID filter or the time range. Parts left empty are removed; the rest is kept.
+   */
+  async filterTrees() {
+    const filter = this.treeFilter ?? {};
+    const summary = this.describeFilters();
+    const choices = [
+      { key: "text", label: "$(search) Text", description: filter.text },
+      {
+        key: "regex",
+        label: "$(regex) Regular Expression",
+        description: filter.regex,
+      },
+      {
+        key: "levels",
+        label: "$(list-filter) Levels",
+        description: filter.levels?.join(", "),
+      },
+      {
+        key: "id",
+        label: "$(symbol-key) ID",
+        description:
+          typeof this.idFilter === "string"
+            ? describeLogId(this.idFilter)
+            : undefined,
+      },
+      {
+        key: "timeRange",
+        label: "$(watch) Time Range",
+        description: this.timeRange
+          ? describeTimeRange(this.timeRange)
+          : undefined,
+      },
+    ];
+    if (summary) {
+      choices.push({ key: "clear", label: "$(clear-all) Clear Filter" });
+    }
+    const choice = await vscode.window.showQuickPick(choices, {
+      placeHolder: summary
+        ? `Filter: ${summary}`
+        : "Filter the Basic and Extra Content trees by",
     });
-    this.extraTreeDataProvider.setModel({
-      resource: model.resource,
-      nodes: extraNodes,
+    if (!choice) {
+      return;
+    }
+    if (choice.key === "clear") {
+      this.setIdFilter(undefined);
+      this.setTreeFilter(null);
+      this.setTimeRange(undefined);
+      return;
+    }
+    const value = await this.promptTreeFilterPart(choice.key, filter);
+    if (value === undefined) {
+      return;
+    }
+    if (choice.key === "id") {
+      this.setIdFilter(value);
+      this.rebuildTreeModel();
+    } else if (choice.key === "timeRange") {
+      this.setTimeRange(value ?? undefined);
+    } else {
+      this.setTreeFilter({ ...filter, [choice.key]: value });
+    }
+  }
+
+  async promptTreeFilterPart(key, filter) {
+    if (key === "text") {
+      return vscode.window.showInputBox({
+        prompt: "Show nodes whose label, description or tooltip contains",
+        value: filter.text ?? "",
+      });
+    }
+    if (key === "regex") {
+      return vscode.window.showInputBox({
+        prompt:
+          "Show nodes matching this regular expression (case-insensitive)",
+        value: filter.regex ?? "",
+        validateInput: (value) => {
+          try {
+            new RegExp(value, "i");
+            return undefined;
+          } catch (error) {
+            return error.message;
+          }
+        },
+      });
+    }
+    if (key === "levels") {
+      const current = new Set(filter.levels ?? []);
+      const picked = await vscode.window.showQuickPick(
+        LEVEL_ORDER.map((level) => ({
+          label: level,
+          picked: current.has(level),
+        })),
+        {
+          canPickMany: true,
+          placeHolder: "Show entries of these levels (none selected shows all)",
+        }
+      );
+      return picked?.map((item) => item.label);
+    }
+    if (key === "id") {
+      return this.pickLogId(
+        "Show only the entries logged with this ID",
+        this.idFilter
+      );
+    }
+    const reference = this.latestParsed?.logLines?.find(
+      (entry) => entry.time !== null
+    )?.time;
+    const input = await vscode.window.showInputBox({
+      prompt:
+        "From - to, as times of day (10:00:00 - 10:05:00) or syslog timestamps; leave a side empty for an open range",
+      value: this.timeRange ? describeTimeRangeInput(this.timeRange) : "",
+      validateInput: (value) =>
+        !value.trim() || parseTimeRangeInput(value, reference ?? null)
+          ? undefined
+          : "Use ' - ' between two times, e.g. 10:00:00 - 10:05:00",
     });
-    this.treeView.message = basicNodes.length
+    if (input === undefined) {
+      return undefined;
+    }
+    return input.trim() ? parseTimeRangeInput(input, reference ?? null) : null;
+  }
+
+  clearTreeFilter() {
+    this.setTreeFilter(null);
+  }
+
+  setTreeFilter(filter) {
+    this.treeFilter = normalizeTreeFilter(filter);
+    this.treeDataProvider.setFilter(this.treeFilter);
+    this.extraTreeDataProvider.setFilter(this.treeFilter);
+    void vscode.commands.executeCommand(
+      "setContext",
+      "tcSyslogViewer.treeFilterActive",
+      Boolean(this.treeFilter)
+    );
+    this.updateViewDescriptions();
+    this.updateTreeViewMessages();
+  }
+
+  /**
+   * Tree filter, ID filter and time range in one line; empty when none is set.
+   */
+  describeFilters() {
+    return [
+      describeTreeFilter(this.treeFilter),
+      typeof this.idFilter === "string"
+        ? `ID ${describeLogId(this.idFilter)}`
+        : "",
+      this.timeRange ? describeTimeRange(this.timeRange) : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  updateViewDescriptions() {
+    const filters = this.describeFilters();
+    const summary = filters ? `Filter: ${filters}` : undefined;
+    this.treeView.description =
+      [this.followManager?.isFollowing() ? "Following" : null, summary]
+        .filter(Boolean)
+        .join(" · ") || undefined;
+    this.extraTreeView.description = summary;
+  }
+
+  updateTreeViewMessages() {
+    const describe = (provider, emptyMessage) => {
+      if (!provider.model.nodes.length) {
+        return emptyMessage;
+      }
+      return this.treeFilter && !provider.visibleNodes.length
+        ? "No entries match the filter."
+        : undefined;
+    };
+    this.treeView.message = describe(
+      this.treeDataProvider,
+      "No basic content available."
+    );
+    this.extraTreeView.message = describe(
+      this.extraTreeDataProvider,
+      "No extra content available."
+    );
+  }
+
+  getTimeline(bucket) {
+    return buildTimeline(this.latestParsed?.logLines, bucket);
+  }
+
+  onTimelineChanged(listener) {
+    return this._onDidChangeTimeline.event(listener);
+  }
+
+  /**
+   * Restricts the explorer trees and the editor decorations to a time window brushed on the
+   * timeline (epoch milliseconds, inclusive).
+   */
+  setTimeRange(range) {
+    this.setTimeRangeState(range);
+    this.rebuildTreeModel();
+    this._onDidChangeTimeline.fire();
+  }
+
+  clearTimeRange() {
+    this.setTimeRange(undefined);
+  }
+
+  setTimeRangeState(range) {
+    this.timeRange = range;
+    void vscode.commands.executeCommand(
+      "setContext",
+      "tcSyslogViewer.timeRangeActive",
+      Boolean(range)
+    );
+    this.updateViewDescriptions();
+  }
+
+  revealTimelineLine(line) {
+    if (!this.currentUri) {
+      return;
+    }
+    const editor = vscode.window.visibleTextEditors.find(
+      (candidate) =>
+        candidate.document.uri.toString() === this.currentUri.toString()
+    );
+    void this.reveal(this.currentUri, line, undefined, {
+      viewColumn: editor?.viewColumn ?? vscode.ViewColumn.One,
+    });
+  }
+
+  setIdFilter(id) {
+    this.idFilter = id;
+    void vscode.commands.executeCommand(
+      "setContext",
+      "tcSyslogViewer.idFilterActive",
+      typeof id === "string"
+    );
+    this.updateViewDescriptions();
+  }
+
+  updateSqlHotspots(parsed, resource) {
+    const items = buildSqlHotspotNodes(parsed, this.getModelOptions());
+    this.sqlHotspotsProvider.setModel({ resource, items });
+    this.sqlHotspotsView.message = items.length
       ? undefined
-      : "No basic content available.";
-    this.extraTreeView.message = extraNodes.length
+      : "No SQL_PROFILE_DUMP rows in this syslog.";
+  }
+
+  updateJournalHotspots(parsed, resource) {
+    const items = buildJournalHotspotNodes(parsed);
+    this.journalHotspotsProvider.setModel({ resource, items });
+    this.journalHotspotsView.message = items.length
       ? undefined
-      : "No extra content available.";
-    this.applyDecorations(document, parsed);
-    void this.favoritesManager.setActiveDocument(document, parsed);
+      : "No JOURNALLED_TIMES sections in this syslog.";
+  }
+
+  sortSqlHotspots() {
+    return this.pickHotspotSort(
+      this.sqlHotspotsProvider,
+      this.sqlHotspotsView,
+      "Rank SQL hotspots by"
+    );
   }
 
-  async reveal(resource, line, selectionRange) {
+  sortJournalHotspots() {
+    return this.pickHotspotSort(
+      this.journalHotspotsProvider,
+      this.journalHotspotsView,
+      "Rank journal hotspots by"
+    );
+  }
+
+  async pickHotspotSort(provider, view, placeHolder) {
+    const current = provider.getSortMetric();
+    const picked = await vscode.window.showQuickPick(
+      provider.metrics.map((metric) => ({
+        label: metric.label,
+        description: metric.key === current.key ? "current" : undefined,
+        metric,
+      })),
+      { placeHolder }
+    );
+    if (!picked) {
+      return;
+    }
+    provider.setSortKey(picked.metric.key);
+    view.description = `by ${picked.metric.label}`;
+  }
+
+  async reveal(resource, line, selectionRange, options = {}) {
     const hasLine = typeof line === "number" && Number.isFinite(line);
     const startLine = hasLine
       ? line
@@ -1068,6 +1928,7 @@ export class SyslogController {
       const editor = await vscode.window.showTextDocument(document, {
         preview: false,
         preserveFocus: false,
+        viewColumn: options.viewColumn,
       });
       const clampLine = (value) => {
         const candidate = Number.isFinite(value) ? value : startLine;
@@ -1150,11 +2011,13 @@ export class SyslogController {
       await this.copyEntry(target);
       return;
     }
-    const parsed = this.ensureParsedModel();
-    if (!parsed) {
+    const document = this.ensureParsedModel()
+      ? await this.getCurrentDocument()
+      : null;
+    if (!document) {
       return;
     }
-    const entries = collectNodeClipboardTexts(target, parsed, {
+    const entries = collectNodeClipboardTexts(target, document, {
       includeChildren: true,
       returnObjects: true,
     });
@@ -1185,11 +2048,18 @@ export class SyslogController {
       await this.copyCategory(target);
       return;
     }
-    const parsed = this.ensureParsedModel();
-    if (!parsed) {
+    if (!this.ensureParsedModel()) {
+      return;
+    }
+    if (typeof target.sql === "string" && target.sql.trim()) {
+      await this.openSqlStatement(target.sql, target.line);
+      return;
+    }
+    const document = await this.getCurrentDocument();
+    if (!document) {
       return;
     }
-    const entries = collectNodeClipboardTexts(target, parsed, {
+    const entries = collectNodeClipboardTexts(target, document, {
       includeChildren: false,
       returnObjects: true,
     });
@@ -1208,6 +2078,58 @@ export class SyslogController {
     });
   }
 
+  /**
+   * Opens an Inline SQL statement as a runnable `.sql` document, with the bind values logged
+   * after it (TC_SQL_DEBUG) substituted for its `:1`, `:2` placeholders.
+   */
+  async openSqlWithBinds(node) {
+    const target = this.resolveNodeForCommand(node);
+    const parsed = this.ensureParsedModel();
+    if (!parsed) {
+      return;
+    }
+    const statement =
+      typeof target?.line === "number"
+        ? parsed.inlineSqlLines?.find((entry) => entry.line === target.line)
+        : undefined;
+    if (!statement) {
+      vscode.window.showInformationMessage(
+        "TC Syslog: select an Inline SQL entry to open."
+      );
+      return;
+    }
+    const { sql, unresolved } = substituteBinds(
+      statement.text,
+      statement.binds
+    );
+    const notes = [];
+    if (!statement.binds?.length) {
+      notes.push("No bind values were logged for this statement.");
+    } else if (unresolved.length) {
+      notes.push(`Binds without a logged value: ${unresolved.join(", ")}`);
+    }
+    await this.openSqlStatement(sql, statement.line, notes);
+  }
+
+  /**
+   * Opens a statement from the syslog pretty-printed in a `.sql` editor, headed by comments with
+   * its location and any `notes`.
+   */
+  async openSqlStatement(sql, line, notes = []) {
+    const hasLine = typeof line === "number" && Number.isFinite(line);
+    const relativePath = vscode.workspace.asRelativePath(
+      this.currentUri,
+      false
+    );
+    const location = hasLine ? `${relativePath}:${line + 1}` : relativePath;
+    const comments = [location, ...notes].map((text) => `-- ${text}`);
+    const statement = formatSql(sql.replace(SQL_PREFIX_REGEX, ""));
+    await this.openSqlDocument(`${comments.join("\n")}\n${statement}\n`, {
+      nodeLabel: hasLine ? `line-${line + 1}` : "query",
+      statusMessage: "TC Syslog: SQL opened in editor",
+    });
+  }
+
   async addFavorite(node) {
     if (!this.currentUri) {
       vscode.window.showInformationMessage(
@@ -1232,15 +2154,22 @@ export class SyslogController {
 
     if (usingTreeNode && typeof node.line === "number") {
       line = node.line;
-      const parsedLine =
-        this.latestParsed?.lines?.[line] ?? document.lineAt(line).text ?? "";
-      textSnippet = parsedLine;
-      const normalized = textSnippet.trim();
+      // Log entries span their continuation lines; the favorite keeps the whole entry.
+      const endLine = Math.max(line, node.endLine ?? line);
+      const spanLines = [];
+      for (let index = line; index <= endLine; index += 1) {
+        spanLines.push(document.lineAt(index).text);
+      }
+      textSnippet = spanLines.join("\n");
+      const normalized = spanLines[0].trim();
       label =
         node.label?.trim() || truncate(normalized, 80) || `Line ${line + 1}`;
       range = {
         start: { line, character: 0 },
-        end: { line, character: parsedLine.length },
+        end: {
+          line: endLine,
+          character: spanLines[spanLines.length - 1].length,
+        },
       };
     } else if (
       editor &&
@@ -1265,12 +2194,22 @@ export class SyslogController {
           },
         };
       } else {
-        line = selection?.active?.line ?? 0;
-        textSnippet = editor.document.lineAt(line).text;
-        label = truncate(textSnippet.trim(), 80) || `Line ${line + 1}`;
+        const cursorLine = selection?.active?.line ?? 0;
+        const entry = this.findLogEntryAtLine(cursorLine);
+        line = entry ? entry.line : cursorLine;
+        const endLine = entry
+          ? Math.min(entry.endLine, editor.document.lineCount - 1)
+          : cursorLine;
+        const endText = editor.document.lineAt(endLine).text;
+        textSnippet = editor.document.getText(
+          new vscode.Range(line, 0, endLine, endText.length)
+        );
+        label =
+          truncate(editor.document.lineAt(line).text.trim(), 80) ||
+          `Line ${line + 1}`;
         range = {
           start: { line, character: 0 },
-          end: { line, character: textSnippet.length },
+          end: { line: endLine, character: endText.length },
         };
       }
     } else {
@@ -1305,6 +2244,27 @@ export class SyslogController {
     });
   }
 
+  /**
+   * Returns the log entry whose span (header plus continuation lines) contains `line`.
+   */
+  findLogEntryAtLine(line) {
+    const entries = this.latestParsed?.logLines ?? [];
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const entry = entries[middle];
+      if (line < entry.line) {
+        high = middle - 1;
+      } else if (line > (entry.endLine ?? entry.line)) {
+        low = middle + 1;
+      } else {
+        return entry;
+      }
+    }
+    return null;
+  }
+
   async editFavorite(node) {
     await this.favoritesManager.editFavorite(node);
   }
@@ -1481,6 +2441,10 @@ export class SyslogController {
         : undefined;
     try {
       const result = await this.aiChatManager.sendMessage(document, {
+        parsed:
+          document.uri.toString() === this.currentUri?.toString()
+            ? this.latestParsed
+            : undefined,
         selectionText,
         userMessage: question,
       });
@@ -1821,4 +2785,53 @@ export class SyslogController {
       );
     }
   }
+
+  /**
+   * Opens `content` in a new untitled `.sql` editor beside the syslog, so SQL language support
+   * (and any installed database extension) applies.
+   */
+  async openSqlDocument(content, options = {}) {
+    const label = truncate(
+      sanitizeForUntitledLabel(options.nodeLabel ?? "query"),
+      32
+    );
+    const untitledUri = vscode.Uri.parse(
+      `untitled:tc-syslog-sql-${label || "query"}-${Date.now()}.sql`
+    );
+    let uriKey;
+    try {
+      const document = await vscode.workspace.openTextDocument(untitledUri);
+      uriKey = document.uri.toString();
+      this.previewDocuments.add(uriKey);
+      const editor = await vscode.window.showTextDocument(document, {
+        preview: false,
+        viewColumn: vscode.ViewColumn.Beside,
+      });
+      const success = await editor.edit((builder) => {
+        builder.insert(new vscode.Position(0, 0), content);
+      });
+      if (!success) {
+        vscode.window.showWarningMessage(
+          "TC Syslog: unable to open SQL editor."
+        );
+        this.previewDocuments.delete(uriKey);
+        return;
+      }
+      const start = new vscode.Position(0, 0);
+      editor.selection = new vscode.Selection(start, start);
+      editor.revealRange(new vscode.Range(start, start));
+      if (options.statusMessage) {
+        vscode.window.setStatusBarMessage(options.statusMessage, 2500);
+      }
+    } catch (error) {
+      if (uriKey) {
+        this.previewDocuments.delete(uriKey);
+      }
+      vscode.window.showErrorMessage(
+        `TC Syslog: unable to open SQL editor - ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  }
 }
@@ -0,0 +1,69 @@
+import { LEVEL_ORDER } from "../util/constants.js";
+
+export const TIMELINE_BUCKETS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+// Upper bound on the number of bars; longer logs move to a coarser bucket.
+const MAX_BUCKETS = 2000;
+
+/**
+ * Log density histogram: entries per second, minute, hour or day, counted per level. `bucket`
+ * is one of those or "auto" for the finest that fits; a bucket that would need more than
+ * `MAX_BUCKETS` bars is coarsened, and days are widened to several days past that. Buckets are
+ * contiguous from the first to the last timestamp so the axis stays linear; each one is
+ * `{ start, counts, total, line }` where `line` is its first entry.
+ */
+export function buildTimeline(logLines, bucket = "auto") {
+  const timed = (logLines ?? []).filter((entry) => entry.time !== null);
+  if (!timed.length) {
+    return { bucket: null, bucketMs: 0, levels: [], buckets: [] };
+  }
+  let first = Infinity;
+  let last = -Infinity;
+  for (const entry of timed) {
+    first = Math.min(first, entry.time);
+    last = Math.max(last, entry.time);
+  }
+  const countBuckets = (size) =>
+    Math.floor(last / size) - Math.floor(first / size) + 1;
+  const units = Object.keys(TIMELINE_BUCKETS);
+  let unitIndex = Math.max(0, units.indexOf(bucket));
+  while (
+    unitIndex < units.length - 1 &&
+    countBuckets(TIMELINE_BUCKETS[units[unitIndex]]) > MAX_BUCKETS
+  ) {
+    unitIndex += 1;
+  }
+  const resolved = units[unitIndex];
+  const unitMs = TIMELINE_BUCKETS[resolved];
+  const bucketMs = unitMs * Math.ceil(countBuckets(unitMs) / MAX_BUCKETS);
+  const start = Math.floor(first / bucketMs) * bucketMs;
+  const buckets = Array.from(
+    { length: Math.floor((last - start) / bucketMs) + 1 },
+    (_, index) => ({
+      start: start + index * bucketMs,
+      counts: {},
+      total: 0,
+      line: null,
+    })
+  );
+  const levels = new Set();
+  for (const entry of timed) {
+    const target = buckets[Math.floor((entry.time - start) / bucketMs)];
+    target.counts[entry.level] = (target.counts[entry.level] ?? 0) + 1;
+    target.total += 1;
+    if (target.line === null || entry.line < target.line) {
+      target.line = entry.line;
+    }
+    levels.add(entry.level);
+  }
+  return {
+    bucket: resolved,
+    bucketMs,
+    levels: LEVEL_ORDER.filter((level) => levels.has(level)),
+    buckets,
+  };
+}
@@ -0,0 +1,217 @@
+import { parseSyslogTimestamp } from "../util/helpers.js";
+
+const COUNT_SUFFIX_REGEX = /\((\d+)\)$/;
+const TIME_OF_DAY_REGEX = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+/**
+ * Filter for the explorer trees: `{ text, regex, levels }`, every part optional. Returns null
+ * when nothing is set. The ID and time range filters narrow the parsed result instead.
+ */
+export function normalizeTreeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+  const normalized = {};
+  if (filter.text) {
+    normalized.text = filter.text;
+  }
+  if (filter.regex) {
+    normalized.regex = filter.regex;
+  }
+  if (filter.levels?.length) {
+    normalized.levels = [...filter.levels];
+  }
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+function formatTime(time) {
+  return new Date(time).toISOString().slice(11, 19);
+}
+
+/**
+ * Time window as times of day, `10:00:00–10:05:00`, with `…` for an open side.
+ */
+export function describeTimeRange({ from, to }) {
+  return `${from !== null ? formatTime(from) : "…"}–${
+    to !== null ? formatTime(to) : "…"
+  }`;
+}
+
+/**
+ * Short summary of a filter for the view title.
+ */
+export function describeTreeFilter(filter) {
+  if (!filter) {
+    return "";
+  }
+  const parts = [];
+  if (filter.text) {
+    parts.push(`"${filter.text}"`);
+  }
+  if (filter.regex) {
+    parts.push(`/${filter.regex}/`);
+  }
+  if (filter.levels) {
+    parts.push(filter.levels.join(", "));
+  }
+  return parts.join(" · ");
+}
+
+function parseTimeBound(text, day) {
+  const value = text.trim();
+  if (!value) {
+    return null;
+  }
+  const full = parseSyslogTimestamp(value);
+  if (full !== null) {
+    return full;
+  }
+  const match = TIME_OF_DAY_REGEX.exec(value);
+  if (!match || day === null) {
+    return undefined;
+  }
+  const [, hours, minutes, seconds, fraction] = match;
+  return (
+    day +
+    ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds ?? 0)) *
+      1000 +
+    Number((fraction ?? "").padEnd(3, "0"))
+  );
+}
+
+/**
+ * Reads `from - to` where each side is a syslog timestamp (`2024/05/01-10:00:00`) or a time of
+ * day on the day of `referenceTime`; either side may be left empty. Returns `{ from, to }` in
+ * epoch milliseconds, or null when the text cannot be read.
+ */
+export function parseTimeRangeInput(text, referenceTime = null) {
+  const match = /^(.*?)\s+-\s+(.*)$|^(.*?)\s*-\s*$|^\s*-\s*(.*)$/.exec(
+    String(text ?? "").trim()
+  );
+  const [fromText, toText] = match
+    ? [match[1] ?? match[3] ?? "", match[2] ?? match[4] ?? ""]
+    : [String(text ?? ""), ""];
+  const day =
+    referenceTime !== null
+      ? Math.floor(referenceTime / 86400000) * 86400000
+      : null;
+  const from = parseTimeBound(fromText, day);
+  const to = parseTimeBound(toText, day);
+  if (
+    from === undefined ||
+    to === undefined ||
+    (from === null && to === null)
+  ) {
+    return null;
+  }
+  if (from !== null && to !== null && to < from) {
+    return null;
+  }
+  return { from, to };
+}
+
+/**
+ * The reverse of `parseTimeRangeInput`, as full syslog timestamps, to prefill the input box.
+ */
+export function describeTimeRangeInput({ from, to }) {
+  const format = (time) =>
+    time !== null
+      ? new Date(time)
+          .toISOString()
+          .replace(/-/g, "/")
+          .replace("T", "-")
+          .replace("Z", "")
+      : "";
+  return `${format(from)} - ${format(to)}`.trim();
+}
+
+function createTextTest(filter) {
+  const tests = [];
+  if (filter.text) {
+    const needle = filter.text.toLowerCase();
+    tests.push((text) => text.toLowerCase().includes(needle));
+  }
+  if (filter.regex) {
+    const regex = new RegExp(filter.regex, "i");
+    tests.push((text) => regex.test(text));
+  }
+  return tests.length ? (text) => tests.every((test) => test(text)) : null;
+}
+
+function createEntryTest(filter) {
+  if (!filter.levels) {
+    return null;
+  }
+  const levels = new Set(filter.levels);
+  return (entry) => levels.has(entry.level);
+}
+
+function nodeText(node) {
+  return [
+    node.label,
+    node.description,
+    typeof node.tooltip === "string" ? node.tooltip : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function countLeaves(node) {
+  return node.children?.length
+    ? node.children.reduce((sum, child) => sum + countLeaves(child), 0)
+    : 1;
+}
+
+// "INFO (48213)" counts children or leaves; the filtered label counts what is left of the same.
+function recount(node, children) {
+  const match = COUNT_SUFFIX_REGEX.exec(node.label ?? "");
+  if (!match) {
+    return node.label;
+  }
+  const shown = Number(match[1]);
+  let count = null;
+  if (shown === node.children.length) {
+    count = children.length;
+  } else if (shown === countLeaves(node)) {
+    count = children.reduce((sum, child) => sum + countLeaves(child), 0);
+  }
+  return count === null
+    ? node.label
+    : node.label.replace(COUNT_SUFFIX_REGEX, `(${count})`);
+}
+
+/**
+ * Copies of the tree nodes that pass `filter`. Text and regex match a node's label, description
+ * and tooltip; a group that matches keeps all of its children that pass the other criteria.
+ * Levels are checked against the log entry a node's line belongs to (`entryAt(line)`), so nodes
+ * without a line only stay as parents of matching nodes. Group labels ending in a count are
+ * recounted.
+ */
+export function filterTreeNodes(nodes, filter, entryAt) {
+  const textTest = createTextTest(filter);
+  const entryTest = createEntryTest(filter);
+  const passesEntry = (node) => {
+    if (!entryTest) {
+      return true;
+    }
+    if (typeof node.line !== "number") {
+      return false;
+    }
+    const entry = entryAt(node.line);
+    return Boolean(entry) && entryTest(entry);
+  };
+  const visit = (node, textMatched) => {
+    const matchesText = textMatched || !textTest || textTest(nodeText(node));
+    if (!node.children?.length) {
+      return matchesText && passesEntry(node) ? node : null;
+    }
+    const children = node.children
+      .map((child) => visit(child, matchesText && Boolean(textTest)))
+      .filter(Boolean);
+    if (!children.length && !(matchesText && passesEntry(node))) {
+      return null;
+    }
+    return { ...node, label: recount(node, children), children };
+  };
+  return nodes.map((node) => visit(node, false)).filter(Boolean);
+}
@@ -1,21 +1,109 @@
 import { NODE_CONTEXT, LEVEL_ICONS, LEVEL_ORDER } from "../util/constants.js";
-import { truncate, winBasename, levelRank } from "../util/helpers.js";
+import {
+  formatSeconds,
+  truncate,
+  winBasename,
+  levelRank,
+} from "../util/helpers.js";
+import { buildSqlHotspots } from "./sqlHotspots.js";
+import { buildCallTree } from "./callTree.js";
+import { buildHandlerTree } from "./handlerTree.js";
+import { buildWorkflowProcesses } from "./workflowProcesses.js";
+import { buildSoaCalls } from "./soaCalls.js";
+import { buildServerStartup } from "./serverStartup.js";
+import { findStalls } from "./stalls.js";
+import {
+  applyParsedFilters,
+  describeLogId,
+  hasParsedFilter,
+} from "./parsedFilter.js";
+import { findDecidingStep } from "../parse/accessEvaluation.js";
+import { buildJournalHotspots, formatDelta } from "./journalHotspots.js";
+import {
+  formatSessionTotal,
+  summarizeSessionTotals,
+} from "../parse/sessionTotals.js";
+
+const isValidLine = (line) =>
+  typeof line === "number" && Number.isFinite(line) && line >= 0;
+const collectLinesFromObjects = (items) =>
+  items.map((item) => item?.line).filter((line) => isValidLine(line));
+const ENTRY_TOOLTIP_LINES = 15;
 
 /**
- * Builds the hierarchical tree model consumed by the explorer views. Keeping this logic here lets
- * us reuse it in tests or other controllers without pulling in VS Code specifics.
+ * Every line covered by the given log entries, continuation lines included.
  */
-export function buildTreeModel(parsed, resource) {
-  if (!parsed) {
-    return { resource, nodes: [] };
+function collectEntrySpanLines(entries) {
+  const lines = [];
+  for (const entry of entries) {
+    if (!isValidLine(entry?.line)) {
+      continue;
+    }
+    const endLine = Math.max(entry.line, entry.endLine ?? entry.line);
+    for (let line = entry.line; line <= endLine; line += 1) {
+      lines.push(line);
+    }
   }
+  return lines;
+}
 
-  const nodes = [];
+function describeSqlRow(row, pomMapping) {
+  const lines = [
+    row.sql,
+    "",
+    `Calls: ${row.calls}  Rows: ${row.rows}  Trips: ${row.trips}`,
+    `Time: ${formatSeconds(row.time)}  DB: ${formatSeconds(
+      row.dbTime
+    )}  Exec: ${formatSeconds(row.execTime)}`,
+  ];
+  const businessObjects = describeBusinessObjects(row.tables, pomMapping);
+  if (businessObjects) {
+    lines.push(`Business objects: ${businessObjects}`);
+  }
+  const attributes = describeAttributes(row.columns, pomMapping);
+  if (attributes) {
+    lines.push(`Attributes: ${attributes}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * BMIDE class names for the tables a statement touches, or "" without a POM mapping.
+ */
+function describeBusinessObjects(tables, pomMapping) {
+  return pomMapping && tables?.length ? pomMapping.describeTables(tables) : "";
+}
+
+/**
+ * Attribute names for the columns a statement references, or "" without a POM mapping.
+ */
+function describeAttributes(columns, pomMapping) {
+  return pomMapping && columns?.length
+    ? pomMapping.describeColumns(columns)
+    : "";
+}
+
+/**
+ * Tooltip of a log entry node: its message, then the first continuation lines, which the tree
+ * provider reads from the document (`tooltipLines`).
+ */
+function describeLogEntry(entry) {
+  if (!entry.continuation) {
+    return { tooltip: entry.message };
+  }
+  const endLine = Math.min(entry.endLine, entry.line + ENTRY_TOOLTIP_LINES);
+  return {
+    tooltip: entry.message,
+    tooltipLines: {
+      startLine: entry.line + 1,
+      endLine,
+      more: entry.endLine - endLine,
+    },
+  };
+}
+
+function buildOverviewCategory(parsed) {
   const overviewChildren = [];
-  const isValidLine = (line) =>
-    typeof line === "number" && Number.isFinite(line) && line >= 0;
-  const collectLinesFromObjects = (items) =>
-    items.map((item) => item?.line).filter((line) => isValidLine(line));
 
   if (parsed.header) {
     const headerPreview =
@@ -109,11 +197,16 @@ export function buildTreeModel(parsed, resource) {
     });
   }
 
+  const sessionTotalsNode = buildSessionTotalsNode(parsed.sessionTotals);
+  if (sessionTotalsNode) {
+    overviewChildren.push(sessionTotalsNode);
+  }
+
   if (parsed.pomStats?.length) {
     const children = parsed.pomStats.map((entry, index) => ({
       id: `pom:${index}:${entry.line}`,
       label: `Entry at line ${entry.line + 1}`,
-      description: parsed.lines?.[entry.line]?.trim() ?? "",
+      description: entry.text,
       line: entry.line,
       icon: "graph",
       contextValue: NODE_CONTEXT.ENTRY,
@@ -133,7 +226,7 @@ export function buildTreeModel(parsed, resource) {
     const children = parsed.endSessions.map((entry, index) => ({
       id: `end:${index}:${entry.line}`,
       label: `Marker at line ${entry.line + 1}`,
-      description: parsed.lines?.[entry.line]?.trim() ?? "",
+      description: entry.text,
       line: entry.line,
       icon: "debug-stop",
       contextValue: NODE_CONTEXT.ENTRY,
@@ -170,16 +263,183 @@ export function buildTreeModel(parsed, resource) {
   }
 
   if (overviewChildren.length) {
-    nodes.push({
+    return {
       id: "root:overview",
       label: "Overview",
       children: overviewChildren,
       icon: "list-tree",
       expanded: true,
       contextValue: NODE_CONTEXT.CATEGORY,
-    });
+    };
+  }
+  return null;
+}
+
+/**
+ * "Session Totals" group for the plain JOURNALLED_TIMES blocks. A syslog usually has one; when
+ * there are several, each gets its own subgroup and the group describes the last.
+ */
+function buildSessionTotalsNode(blocks) {
+  const withMetrics = (blocks ?? [])
+    .map((block, index) => ({ block, index }))
+    .filter(({ block }) => block.metrics.length);
+  if (!withMetrics.length) {
+    return null;
+  }
+  const buildMetricNodes = (block, index) =>
+    block.metrics.map((metric, metricIndex) => ({
+      id: `sessionTotals:${index}:${metric.line}:${metricIndex}`,
+      label: metric.label,
+      description: formatSessionTotal(metric),
+      line: metric.line,
+      icon: "dashboard",
+      contextValue: NODE_CONTEXT.ENTRY,
+    }));
+  const last = withMetrics[withMetrics.length - 1].block;
+  const totals = summarizeSessionTotals(last);
+  const description = [
+    totals.elapsed !== undefined ? formatSeconds(totals.elapsed) : null,
+    totals.cpu !== undefined ? `CPU ${formatSeconds(totals.cpu)}` : null,
+    totals.dbTime !== undefined ? `DB ${formatSeconds(totals.dbTime)}` : null,
+    totals.sqlStatements !== undefined ? `${totals.sqlStatements} SQL` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const children =
+    withMetrics.length === 1
+      ? buildMetricNodes(withMetrics[0].block, withMetrics[0].index)
+      : withMetrics.map(({ block, index }) => ({
+          id: `sessionTotals:${index}:${block.line}`,
+          label: `Totals at line ${block.line + 1}`,
+          description: `${block.metrics.length} metrics`,
+          line: block.line,
+          icon: "dashboard",
+          children: buildMetricNodes(block, index),
+          contextValue: NODE_CONTEXT.GROUP,
+        }));
+  return {
+    id: "overview:sessionTotals",
+    label: "Session Totals",
+    description: description || undefined,
+    line: last.line,
+    icon: "dashboard",
+    children,
+    clipboardLines: collectLinesFromObjects(
+      withMetrics.flatMap(({ block }) => block.metrics)
+    ),
+    contextValue: NODE_CONTEXT.GROUP,
+  };
+}
+
+/**
+ * Module initialisations in startup order with the time each one took until the next began.
+ */
+function buildServerStartupCategory(parsed) {
+  const { modules, total } = buildServerStartup(parsed.logLines);
+  if (!modules.length) {
+    return null;
+  }
+  const children = modules.map((module) => ({
+    id: `startup:${module.id}`,
+    label: module.name,
+    description: [
+      module.elapsed !== null ? formatDuration(module.elapsed) : null,
+      module.timestamp,
+      module.slowest ? "slowest" : null,
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    tooltip: [
+      `ID: ${module.id}`,
+      `Started: ${module.timestamp ?? "(no timestamp)"} (line ${
+        module.line + 1
+      })`,
+      module.elapsed !== null
+        ? `Took ${formatDuration(module.elapsed)} until the next step`
+        : null,
+      `${module.entries.length} log entries`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    line: module.line,
+    icon: module.slowest ? "flame" : "symbol-module",
+    iconColor: module.slowest ? "charts.orange" : undefined,
+    contextValue: NODE_CONTEXT.GROUP,
+    clipboardLines: collectEntrySpanLines(module.entries),
+    children: module.entries.map((entry) => ({
+      id: `startup:${module.id}:${entry.line}`,
+      label: `${entry.timestamp} - ${truncate(entry.message, 80)}`,
+      ...describeLogEntry(entry),
+      line: entry.line,
+      icon: LEVEL_ICONS[entry.level] ?? "symbol-event",
+      contextValue: NODE_CONTEXT.ENTRY,
+    })),
+  }));
+  return {
+    id: "root:startup",
+    label: `Server Startup (${modules.length})`,
+    description: total !== null ? `${formatDuration(total)} total` : undefined,
+    children,
+    icon: "rocket",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+function buildStallEdgeNode(entry, idPrefix, side) {
+  return {
+    id: `${idPrefix}:${side}`,
+    label: `${side === "before" ? "Before" : "After"}: ${truncate(
+      entry.message,
+      80
+    )}`,
+    description: entry.timestamp,
+    ...describeLogEntry(entry),
+    line: entry.line,
+    icon: side === "before" ? "debug-pause" : "debug-continue",
+    contextValue: NODE_CONTEXT.ENTRY,
+  };
+}
+
+/**
+ * The largest silent gaps between consecutive log entries, above the configured threshold.
+ */
+function buildStallsCategory(parsed, options = {}) {
+  const stalls = findStalls(parsed.logLines, options.stalls);
+  if (!stalls.length) {
+    return null;
   }
+  const children = stalls.map(({ gap, before, after }) => {
+    const idPrefix = `stall:${before.line}:${after.line}`;
+    return {
+      id: idPrefix,
+      label: `${formatDuration(gap)} silent`,
+      description: `Lines ${before.line + 1}-${after.line + 1}`,
+      tooltip: [
+        `No log output for ${formatDuration(gap)}`,
+        `Before: ${before.timestamp} ${truncate(before.message, 120)}`,
+        `After: ${after.timestamp} ${truncate(after.message, 120)}`,
+      ].join("\n"),
+      line: after.line,
+      selection: { startLine: before.line, endLine: after.line },
+      icon: "watch",
+      contextValue: NODE_CONTEXT.GROUP,
+      children: [
+        buildStallEdgeNode(before, idPrefix, "before"),
+        buildStallEdgeNode(after, idPrefix, "after"),
+      ],
+    };
+  });
+  return {
+    id: "root:stalls",
+    label: `Stalls (${children.length})`,
+    description: `longest ${formatDuration(stalls[0].gap)}`,
+    children,
+    icon: "watch",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
 
+function buildSqlDumpsCategory(parsed, options = {}) {
   if (parsed.sqlDumps?.length) {
     const sqlNodes = parsed.sqlDumps.map((entry, index) => {
       const startLine = entry.line ?? 0;
@@ -191,15 +451,32 @@ export function buildTreeModel(parsed, resource) {
       const allRows = entry.rows ?? [];
       const rowChildren = allRows.map((row, rowIndex) => ({
         id: `sql:${index}:row:${rowIndex}:${row.line}`,
-        label: truncate((row.text ?? "").trim() || `Row ${rowIndex + 1}`, 80),
-        description: `Line ${row.line + 1}`,
+        label: truncate(
+          row.sql ?? ((row.text ?? "").trim() || `Row ${rowIndex + 1}`),
+          80
+        ),
+        description:
+          row.sql !== undefined
+            ? [
+                formatSeconds(row.time),
+                `${row.calls} calls`,
+                `Line ${row.line + 1}`,
+                describeBusinessObjects(row.tables, options.pomMapping),
+                describeAttributes(row.columns, options.pomMapping),
+              ]
+                .filter(Boolean)
+                .join(" · ")
+            : `Line ${row.line + 1}`,
+        tooltip:
+          row.sql !== undefined
+            ? describeSqlRow(row, options.pomMapping)
+            : undefined,
         line: row.line,
+        endLine: row.endLine,
+        sql: row.sql,
         icon: "symbol-string",
         contextValue: NODE_CONTEXT.ENTRY,
-        clipboardItems:
-          typeof row.text === "string" && row.text.length
-            ? [{ text: row.text }]
-            : undefined,
+        clipboardLines: collectEntrySpanLines([row]),
       }));
       const dumpLines = [];
       for (let lineIndex = startLine; lineIndex <= endLine; lineIndex += 1) {
@@ -219,16 +496,56 @@ export function buildTreeModel(parsed, resource) {
         contextValue: NODE_CONTEXT.GROUP,
       };
     });
-    nodes.push({
+    return {
       id: "root:sql",
       //label: `SQL Profile Dumps (${parsed.sqlDumps.length})`,
       label: `SQL Profile Dumps`,
       children: sqlNodes,
       icon: "database",
       contextValue: NODE_CONTEXT.CATEGORY,
-    });
+    };
   }
+  return null;
+}
+
+/**
+ * One JOURNAL_HIERARCHY_TRACE call with its callees nested below it.
+ */
+function buildCallTreeNode(callNode, traceIndex) {
+  const { row, rowIndex, selfTime, children } = callNode;
+  return {
+    id: `hierarchy:${traceIndex}:row:${rowIndex}:${row.line}`,
+    label: truncate(row.routine ?? `Entry ${rowIndex + 1}`, 100),
+    description: [
+      formatSeconds(row.time),
+      `self ${formatSeconds(selfTime)}`,
+      `${row.dbTrips} trips`,
+      `${row.callCount} calls`,
+    ].join(" · "),
+    tooltip: [
+      row.raw?.trim() ?? row.text ?? "",
+      "",
+      `Time: ${formatSeconds(row.time)}  Self: ${formatSeconds(selfTime)}`,
+      `DB trips: ${row.dbTrips}  Calls: ${row.callCount}  Depth: ${row.depth}`,
+      `%Total: ${row.totalPercent}  %Parent: ${row.parentPercent}`,
+    ].join("\n"),
+    line: row.line,
+    contextValue: NODE_CONTEXT.CALL_TREE,
+    icon: children.length ? "symbol-method" : "triangle-right",
+    children: children.map((child) => buildCallTreeNode(child, traceIndex)),
+    clipboardItems: row.raw ? [{ text: row.raw }] : undefined,
+  };
+}
 
+/**
+ * Position of each item in the unfiltered `items`, so numbering and IDs do not shift when the
+ * ID filter or time window hides earlier items.
+ */
+function indexItems(items) {
+  return new Map((items ?? []).map((item, index) => [item, index]));
+}
+
+function buildJournalsCategory(parsed, options, unfiltered = parsed) {
   const journalNodes = [];
   if (parsed.journalSections?.length) {
     const journalTypeLabels = {
@@ -238,8 +555,10 @@ export function buildTreeModel(parsed, resource) {
       //allFunctions: "All Functions",
       allFunctions: "JOURNALLED_TIMES_IN_ALL_FUNCTIONS",
     };
+    const sectionIndexes = indexItems(unfiltered.journalSections);
     const sectionNodes = (parsed.journalSections ?? []).map(
-      (section, index) => {
+      (section, filteredIndex) => {
+        const index = sectionIndexes.get(section) ?? filteredIndex;
         const typeLabel = journalTypeLabels[section.type] ?? "Section";
         const label = `${typeLabel} #${index + 1}`;
         const description =
@@ -295,7 +614,8 @@ export function buildTreeModel(parsed, resource) {
           children: rowChildren,
           icon: "graph",
           clipboardLines: sectionLines,
-          contextValue: NODE_CONTEXT.GROUP,
+          flameGraph: { kind: "journal", line: section.line },
+          contextValue: NODE_CONTEXT.JOURNAL,
         };
       }
     );
@@ -303,7 +623,9 @@ export function buildTreeModel(parsed, resource) {
   }
 
   if (parsed.journalHierarchyTraces?.length) {
+    const traceIndexes = indexItems(unfiltered.journalHierarchyTraces);
     const hierarchyNodes = parsed.journalHierarchyTraces.map((trace, index) => {
+      const traceIndex = traceIndexes.get(trace) ?? index;
       const startLine = trace.line ?? 0;
       const endLine = trace.endLine ?? trace.line ?? startLine;
       const description =
@@ -311,20 +633,9 @@ export function buildTreeModel(parsed, resource) {
           ? `Lines ${startLine + 1}-${endLine + 1}`
           : `Line ${startLine + 1}`;
       const summaryDescription = description;
-      const displayRows = trace.rows ?? [];
-      const rowChildren = displayRows.map((row, rowIndex) => {
-        const labelText = truncate(row.routine ?? `Entry ${rowIndex + 1}`, 100);
-        return {
-          id: `hierarchy:${index}:row:${rowIndex}:${row.line}`,
-          label: labelText,
-          description: `Line ${row.line + 1}`,
-          tooltip: row.raw?.trim() ?? row.text ?? "",
-          line: row.line,
-          contextValue: NODE_CONTEXT.ENTRY,
-          icon: "triangle-right",
-          clipboardItems: row.raw ? [{ text: row.raw }] : undefined,
-        };
-      });
+      const rowChildren = buildCallTree(trace.rows).map((callNode) =>
+        buildCallTreeNode(callNode, traceIndex)
+      );
       const clipboardLines = [];
       for (
         let lineIndex = Math.max(0, startLine);
@@ -334,14 +645,15 @@ export function buildTreeModel(parsed, resource) {
         clipboardLines.push(lineIndex);
       }
       return {
-        id: `hierarchy:${index}:${startLine}`,
+        id: `hierarchy:${traceIndex}:${startLine}`,
         //label: `Hierarchy Trace #${index + 1}`,
         label: `JOURNAL_HIERARCHY_TRACE`,
         description: summaryDescription,
         line: startLine,
         children: rowChildren,
         icon: "graph",
-        contextValue: NODE_CONTEXT.GROUP,
+        flameGraph: { kind: "hierarchy", line: startLine },
+        contextValue: NODE_CONTEXT.JOURNAL,
         clipboardLines: clipboardLines.length ? clipboardLines : undefined,
         tooltip: `Lines ${startLine + 1}-${endLine + 1}`,
       };
@@ -350,86 +662,533 @@ export function buildTreeModel(parsed, resource) {
   }
 
   if (journalNodes.length) {
-    nodes.push({
+    return {
       id: "root:journal",
       //label: `Journaled Times (${journalNodes.length})`,
       label: `Journals (${journalNodes.length})`,
       children: journalNodes,
       icon: "graph",
       contextValue: NODE_CONTEXT.CATEGORY,
-    });
+    };
+  }
+  return null;
+}
+
+const ACCESS_VERDICT_ICONS = {
+  GRANTED: { icon: "pass", iconColor: "testing.iconPassed" },
+  DENIED: { icon: "error", iconColor: "errorForeground" },
+};
+
+function describeAccessDecision(check) {
+  const deciding = findDecidingStep(check);
+  return [
+    check.verdict,
+    deciding.acl ? `ACL ${deciding.acl}` : null,
+    deciding.rule ? `rule ${deciding.rule}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function buildAccessCheckNode(entry, index) {
+  const verdictIcon = ACCESS_VERDICT_ICONS[entry.verdict] ?? { icon: "shield" };
+  const steps = entry.steps ?? [];
+  const children = steps.map((step, stepIndex) => ({
+    id: `access:${index}:${entry.line}:step:${stepIndex}`,
+    label: truncate(step.text, 120),
+    description: step.effect ?? undefined,
+    tooltip: step.text,
+    line: step.line,
+    icon:
+      step.kind === "verdict"
+        ? verdictIcon.icon
+        : step.kind === "acl"
+        ? "list-unordered"
+        : step.kind === "rule"
+        ? "symbol-ruler"
+        : step.kind === "accessor"
+        ? "person"
+        : "info",
+    contextValue: NODE_CONTEXT.ENTRY,
+  }));
+  const lines = [];
+  for (
+    let line = entry.line;
+    line <= (entry.endLine ?? entry.line);
+    line += 1
+  ) {
+    lines.push(line);
   }
+  return {
+    id: `access:${index}:${entry.line}`,
+    label: `Line ${entry.line + 1}`,
+    description: describeAccessDecision(entry) || undefined,
+    tooltip: [entry.raw, ...steps.map((step) => step.text)]
+      .filter(Boolean)
+      .join("\n"),
+    line: entry.line,
+    ...verdictIcon,
+    contextValue: NODE_CONTEXT.ENTRY,
+    clipboardLines: lines,
+    children,
+  };
+}
 
-  if (parsed.accessChecks?.length) {
-    const accessNodes = parsed.accessChecks
-      .map((entry, index) => {
-        const mode = entry.mode ? entry.mode.toUpperCase() : "(unknown)";
-        const label = `${mode} on ${entry.target ?? "(unknown)"}`;
+/**
+ * Access checks grouped by object, then privilege. Each check shows its verdict and the ACL and
+ * rule that decided it; its evaluation steps are the children.
+ */
+function buildAccessChecksCategory(parsed) {
+  if (!parsed.accessChecks?.length) {
+    return null;
+  }
+  const objects = new Map();
+  parsed.accessChecks.forEach((entry, index) => {
+    const target = entry.target || "(unknown)";
+    const mode = entry.mode ? entry.mode.toUpperCase() : "(unknown)";
+    if (!objects.has(target)) {
+      objects.set(target, {
+        target,
+        objectName: null,
+        line: entry.line,
+        modes: new Map(),
+      });
+    }
+    const object = objects.get(target);
+    object.objectName = object.objectName ?? entry.objectName;
+    if (!object.modes.has(mode)) {
+      object.modes.set(mode, []);
+    }
+    object.modes.get(mode).push({ entry, index });
+  });
+  const objectNodes = Array.from(objects.values()).map((object) => {
+    const modeNodes = Array.from(object.modes.entries()).map(
+      ([mode, checks]) => {
+        const last = checks[checks.length - 1].entry;
+        const denied = checks.filter(
+          ({ entry }) => entry.verdict === "DENIED"
+        ).length;
         return {
-          id: `access:${index}:${entry.line}`,
-          label,
-          description: `Line ${entry.line + 1}`,
-          tooltip: entry.raw ?? label,
-          line: entry.line,
-          icon: "shield",
-          contextValue: NODE_CONTEXT.ENTRY,
-          clipboardItems: entry.raw ? [{ text: entry.raw }] : undefined,
+          id: `access:object:${object.target}:${mode}`,
+          label: mode,
+          description: [
+            checks.length > 1 ? `${checks.length} checks` : null,
+            denied && denied < checks.length ? `${denied} denied` : null,
+            checks.length > 1 && last.verdict
+              ? `last ${describeAccessDecision(last)}`
+              : describeAccessDecision(last),
+          ]
+            .filter(Boolean)
+            .join(" · "),
+          line: last.line,
+          ...(ACCESS_VERDICT_ICONS[last.verdict] ?? { icon: "shield" }),
+          contextValue: NODE_CONTEXT.GROUP,
+          children: checks.map(({ entry, index }) =>
+            buildAccessCheckNode(entry, index)
+          ),
         };
-      })
-      .sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
-    nodes.push({
-      id: "root:access",
-      label: `Check Access Privilege (${accessNodes.length})`,
-      children: accessNodes,
+      }
+    );
+    const label = object.objectName
+      ? `${object.objectName} (${object.target})`
+      : object.target;
+    return {
+      id: `access:object:${object.target}`,
+      label,
+      description: Array.from(object.modes.keys()).join(", "),
+      line: object.line,
       icon: "shield",
-      contextValue: NODE_CONTEXT.CATEGORY,
-    });
-  }
+      contextValue: NODE_CONTEXT.GROUP,
+      children: modeNodes,
+    };
+  });
+  return {
+    id: "root:access",
+    label: `Check Access Privilege (${parsed.accessChecks.length})`,
+    children: objectNodes,
+    icon: "shield",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
 
-  if (parsed.workflowHandlers?.length) {
-    const handlerNodes = parsed.workflowHandlers.map((entry, index) => {
-      const label = truncate(entry.functionName || `Handler #${index + 1}`, 80);
-      const startLine = Math.max(0, entry.line ?? 0);
-      const endLine = Math.max(
-        startLine,
-        entry.endLine ?? entry.line ?? startLine
-      );
-      const description =
-        endLine === startLine
-          ? `Line ${startLine + 1}`
-          : `Lines ${startLine + 1}-${endLine + 1}`;
-      const tooltipParts = [
-        `Function: ${entry.functionName ?? "(unknown)"}`,
-        description,
-      ];
-      if (entry.filePath) {
-        tooltipParts.push(`File: ${entry.filePath}`);
-      }
-      const tooltip = tooltipParts.join("\n");
-      const clipboardLines = [];
-      for (let lineIndex = startLine; lineIndex <= endLine; lineIndex += 1) {
-        clipboardLines.push(lineIndex);
+/**
+ * "Error Codes" category: every ifail code found in error stacks with its count, the dictionary
+ * explanation and the log entries that raised it.
+ */
+function buildErrorCodesCategory(parsed, options = {}) {
+  const byCode = new Map();
+  (parsed.errorStacks ?? []).forEach((stack, stackIndex) => {
+    for (const item of stack.codes) {
+      if (!byCode.has(item.code)) {
+        byCode.set(item.code, []);
       }
-      return {
-        id: `handler:${index}:${entry.line}`,
-        label,
-        description,
-        tooltip,
-        line: entry.line,
-        icon: "beaker",
+      byCode.get(item.code).push({ stack, stackIndex, item });
+    }
+  });
+  if (!byCode.size) {
+    return null;
+  }
+  const codeNodes = Array.from(byCode.entries())
+    .sort((a, b) => b[1].length - a[1].length || a[0] - b[0])
+    .map(([code, occurrences]) => {
+      const known = options.errorCodes?.describe(code);
+      const logged = occurrences.find(({ item }) => item.message)?.item.message;
+      const familyLabel = known?.family ? `${known.family.module} error` : null;
+      const children = occurrences.map(({ stack, stackIndex, item }) => ({
+        id: `errorCode:${code}:${stackIndex}:${item.line}`,
+        label: truncate(item.message || stack.message || `${code}`, 100),
+        description: [
+          stack.level,
+          stack.entryLine !== null ? `entry line ${stack.entryLine + 1}` : null,
+          `Line ${item.line + 1}`,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        tooltip: [
+          stack.message,
+          ...stack.codes.map((entry) => `${entry.code}: ${entry.message}`),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        line: item.line,
+        icon: "error",
         contextValue: NODE_CONTEXT.ENTRY,
-        clipboardLines,
+      }));
+      return {
+        id: `errorCode:${code}`,
+        label: `${code}`,
+        description: [
+          `${occurrences.length}×`,
+          known?.text ?? logged ?? familyLabel,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        tooltip: [
+          `ifail ${code}`,
+          known?.text,
+          familyLabel,
+          known?.approximate
+            ? "(approximate, from the bundled dictionary)"
+            : null,
+          logged ? `Logged as: ${logged}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        line: occurrences[0].item.line,
+        icon: "symbol-number",
+        contextValue: NODE_CONTEXT.GROUP,
+        children,
       };
     });
-    nodes.push({
+  return {
+    id: "root:errorCodes",
+    label: `Error Codes (${codeNodes.length})`,
+    children: codeNodes,
+    icon: "error",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+function formatDuration(duration) {
+  return duration < 1000 ? `${duration}ms` : `${(duration / 1000).toFixed(3)}s`;
+}
+
+function buildHandlerNode(handlerNode) {
+  const { entry } = handlerNode;
+  const label = truncate(
+    entry.functionName || `Handler #${entry.index + 1}`,
+    80
+  );
+  const startLine = Math.max(0, entry.line ?? 0);
+  const endLine = Math.max(startLine, entry.endLine ?? entry.line ?? startLine);
+  const lines =
+    endLine === startLine
+      ? `Line ${startLine + 1}`
+      : `Lines ${startLine + 1}-${endLine + 1}`;
+  const unclosed = entry.closed === false;
+  const description = [
+    handlerNode.duration !== null
+      ? `≤ ${formatDuration(handlerNode.duration)}`
+      : null,
+    lines,
+    unclosed ? "no LEAVE" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const tooltipParts = [
+    `Function: ${entry.functionName ?? "(unknown)"}`,
+    lines,
+  ];
+  if (entry.filePath) {
+    tooltipParts.push(`File: ${entry.filePath}`);
+  }
+  if (handlerNode.start && handlerNode.end) {
+    tooltipParts.push(
+      `Between ${handlerNode.start} and ${handlerNode.end}` +
+        " (timestamps of the surrounding log lines)"
+    );
+  } else if (handlerNode.start) {
+    tooltipParts.push(`Entered after ${handlerNode.start}`);
+  }
+  if (unclosed) {
+    tooltipParts.push("No matching LEAVE was logged for this handler.");
+  }
+  const clipboardLines = [];
+  for (let lineIndex = startLine; lineIndex <= endLine; lineIndex += 1) {
+    clipboardLines.push(lineIndex);
+  }
+  return {
+    id: `handler:${entry.index}:${entry.line}`,
+    label,
+    description,
+    tooltip: tooltipParts.join("\n"),
+    line: entry.line,
+    icon: unclosed ? "warning" : "beaker",
+    contextValue: NODE_CONTEXT.ENTRY,
+    clipboardLines,
+    children: handlerNode.children.map(buildHandlerNode),
+  };
+}
+
+function buildWorkflowHandlersCategory(parsed) {
+  if (parsed.workflowHandlers?.length) {
+    const handlerNodes = buildHandlerTree(
+      parsed.workflowHandlers,
+      parsed.logLines
+    ).map(buildHandlerNode);
+    const unclosed = parsed.workflowHandlers.filter(
+      (entry) => entry.closed === false
+    ).length;
+    return {
       id: "root:workflowHandlers",
-      label: `WF Handler Flow (${handlerNodes.length})`,
+      label: `WF Handler Flow (${parsed.workflowHandlers.length})`,
+      description: unclosed ? `${unclosed} without LEAVE` : undefined,
       children: handlerNodes,
       icon: "beaker",
       contextValue: NODE_CONTEXT.CATEGORY,
-    });
+    };
   }
+  return null;
+}
+
+function buildWorkflowArgumentNodes(items, idPrefix) {
+  return items.map((arg, index) => ({
+    id: `${idPrefix}:arg:${index}`,
+    label: arg.name,
+    description: arg.value ?? undefined,
+    line: arg.line,
+    icon: "symbol-parameter",
+    contextValue: NODE_CONTEXT.ENTRY,
+  }));
+}
+
+function buildWorkflowDecisionNodes(items, idPrefix) {
+  return items.map((decision, index) => ({
+    id: `${idPrefix}:decision:${index}`,
+    label: `Decision: ${decision.value}`,
+    line: decision.line,
+    icon: "git-compare",
+    contextValue: NODE_CONTEXT.ENTRY,
+  }));
+}
 
+function describeWorkflowError(error) {
+  return `ifail ${error.code}${error.handler ? ` in ${error.handler}` : ""}`;
+}
+
+function buildWorkflowHandlerNode(handler) {
+  const { entry } = handler;
+  const idPrefix = `workflow:handler:${entry.index}:${entry.line}`;
+  const failed = Boolean(handler.ifail);
+  const description = [
+    handler.arguments.length ? `${handler.arguments.length} args` : null,
+    ...handler.decisions.map((decision) => decision.value),
+    failed ? `ifail ${handler.ifail}` : null,
+    entry.closed === false ? "no LEAVE" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  return {
+    id: idPrefix,
+    label: entry.functionName || `Handler #${entry.index + 1}`,
+    description: description || undefined,
+    tooltip: [
+      `Function: ${entry.functionName ?? "(unknown)"}`,
+      ...handler.arguments.map((arg) =>
+        arg.value !== null ? `${arg.name}=${arg.value}` : arg.name
+      ),
+      failed ? `Failed with ifail ${handler.ifail}` : null,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    line: entry.line,
+    icon: failed ? "error" : "beaker",
+    iconColor: failed ? "errorForeground" : undefined,
+    contextValue: NODE_CONTEXT.ENTRY,
+    children: [
+      ...buildWorkflowArgumentNodes(handler.arguments, idPrefix),
+      ...buildWorkflowDecisionNodes(handler.decisions, idPrefix),
+      ...handler.children.map(buildWorkflowHandlerNode),
+    ],
+  };
+}
+
+function buildWorkflowTaskNode(task, idPrefix) {
+  const failed = task.errors.length > 0;
+  const description = [
+    task.state,
+    `${task.handlers.length} handlers`,
+    failed ? describeWorkflowError(task.errors[0]) : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const stateNodes = task.states.map((state, index) => ({
+    id: `${idPrefix}:state:${index}`,
+    label: state.from ? `${state.from} → ${state.to}` : state.to,
+    description: "state",
+    line: state.line,
+    icon: "arrow-right",
+    contextValue: NODE_CONTEXT.ENTRY,
+  }));
+  return {
+    id: idPrefix,
+    label: task.name,
+    description,
+    tooltip: [
+      `Task: ${task.name}`,
+      task.state ? `State: ${task.state}` : null,
+      ...task.errors.map(
+        (error) => `${describeWorkflowError(error)} (line ${error.line + 1})`
+      ),
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    line: task.line,
+    icon: failed ? "error" : "checklist",
+    iconColor: failed ? "errorForeground" : undefined,
+    contextValue: NODE_CONTEXT.GROUP,
+    children: [
+      ...stateNodes,
+      ...buildWorkflowArgumentNodes(task.arguments, idPrefix),
+      ...buildWorkflowDecisionNodes(task.decisions, idPrefix),
+      ...task.handlers.map(buildWorkflowHandlerNode),
+    ],
+  };
+}
+
+/**
+ * Workflow processes rebuilt from EPM_debug / TC_HANDLER_TRACE output, grouped by job, task and
+ * handler. Only shown when the log names at least one job or task.
+ */
+function buildWorkflowCategory(parsed) {
+  const hasContext = (parsed.workflowEvents ?? []).some(
+    (event) => event.kind === "job" || event.kind === "task"
+  );
+  if (!hasContext) {
+    return null;
+  }
+  const jobs = buildWorkflowProcesses(
+    parsed.workflowEvents,
+    parsed.workflowHandlers
+  );
+  const jobNodes = jobs.map((job, jobIndex) => {
+    const failedTasks = job.tasks.filter((task) => task.errors.length).length;
+    return {
+      id: `workflow:job:${jobIndex}:${job.line}`,
+      label: job.name,
+      description: [
+        `${job.tasks.length} tasks`,
+        failedTasks ? `${failedTasks} failed` : null,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+      line: job.line,
+      icon: "briefcase",
+      contextValue: NODE_CONTEXT.GROUP,
+      children: job.tasks.map((task, taskIndex) =>
+        buildWorkflowTaskNode(
+          task,
+          `workflow:task:${jobIndex}:${taskIndex}:${task.line}`
+        )
+      ),
+    };
+  });
+  return {
+    id: "root:workflow",
+    label: `Workflow (${jobNodes.length})`,
+    children: jobNodes,
+    icon: "type-hierarchy",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+function buildSoaCallNode(call, index) {
+  const idPrefix = `soa:${index}:${call.line}`;
+  const failed = call.errors.length > 0;
+  const lines = `Lines ${call.line + 1}-${call.endLine + 1}`;
+  const description = [
+    call.duration !== null ? formatDuration(call.duration) : null,
+    `${call.sqlStatements} SQL`,
+    `${call.journalRows} journal rows`,
+    failed
+      ? `${call.errors.length} error${call.errors.length === 1 ? "" : "s"}`
+      : null,
+    call.closed ? null : "no end marker",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  return {
+    id: idPrefix,
+    label: call.name,
+    description,
+    tooltip: [
+      `Service: ${call.service}`,
+      `Operation: ${call.operation}`,
+      lines,
+      call.start && call.end ? `From ${call.start} to ${call.end}` : null,
+      call.closed
+        ? null
+        : "No end marker was logged; the call runs until the next one starts or the log ends.",
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    line: call.line,
+    selection: { startLine: call.line, endLine: call.endLine },
+    icon: failed ? "error" : call.closed ? "cloud" : "warning",
+    iconColor: failed ? "errorForeground" : undefined,
+    contextValue: NODE_CONTEXT.ENTRY,
+    children: call.errors.map((entry) => ({
+      id: `${idPrefix}:error:${entry.line}`,
+      label: truncate(entry.message, 80),
+      description: entry.timestamp,
+      line: entry.line,
+      icon: LEVEL_ICONS[entry.level] ?? "error",
+      contextValue: NODE_CONTEXT.ENTRY,
+    })),
+  };
+}
+
+/**
+ * One node per SOA request, in log order, with its duration and the SQL, journal rows and
+ * errors logged while it ran.
+ */
+function buildSoaCallsCategory(parsed) {
+  const calls = buildSoaCalls(parsed);
+  if (!calls.length) {
+    return null;
+  }
+  const failed = calls.filter((call) => call.errors.length).length;
+  return {
+    id: "root:soaCalls",
+    label: `SOA Calls (${calls.length})`,
+    description: failed ? `${failed} with errors` : undefined,
+    children: calls.map(buildSoaCallNode),
+    icon: "cloud",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+function buildLogLevelsCategory(parsed) {
   const levelMap = new Map();
   for (const entry of parsed.logLines ?? []) {
     if (!levelMap.has(entry.level)) {
@@ -445,16 +1204,20 @@ export function buildTreeModel(parsed, resource) {
         id: `log:${level}:${entry.line}`,
         label: `${entry.timestamp} - ${truncate(entry.message, 80)}`,
         description: entry.id,
-        tooltip: entry.message,
+        ...describeLogEntry(entry),
         line: entry.line,
+        endLine: entry.endLine,
         icon: "symbol-event",
         contextValue: NODE_CONTEXT.ENTRY,
+        clipboardLines: entry.continuation
+          ? collectEntrySpanLines([entry])
+          : undefined,
         clipboardItems:
           typeof entry.message === "string" && entry.message.length
             ? [{ text: entry.message }]
             : undefined,
       }));
-      const levelLines = collectLinesFromObjects(entries);
+      const levelLines = collectEntrySpanLines(entries);
       return {
         id: `level:${level}`,
         label: `${level} (${entries.length})`,
@@ -466,46 +1229,610 @@ export function buildTreeModel(parsed, resource) {
     })
     .filter((node) => node.children.length);
   if (levelNodes.length) {
-    const allLogLines = collectLinesFromObjects(parsed.logLines ?? []);
-    nodes.push({
+    const allLogLines = collectEntrySpanLines(parsed.logLines ?? []);
+    return {
       id: "root:levels",
       label: `Log Levels (${parsed.logLines.length})`,
       children: levelNodes,
       icon: "symbol-class",
       clipboardLines: allLogLines,
       contextValue: NODE_CONTEXT.CATEGORY,
-    });
+    };
   }
+  return null;
+}
 
-  if (parsed.inlineSqlLines?.length) {
-    const inlineSqlNodes = parsed.inlineSqlLines.map((entry, index) => ({
-      id: `inlineSql:${index}:${entry.line}`,
-      label: truncate(
-        (entry.text ?? "").trim() || `SQL Statement ${index + 1}`,
-        80
-      ),
-      description:
-        isValidLine(entry.line) && entry.line !== undefined
-          ? `Line ${entry.line + 1}`
-          : "",
-      line: entry.line,
-      icon: entry.fromLog ? "symbol-operator" : "symbol-string",
-      contextValue: NODE_CONTEXT.ENTRY,
-      clipboardItems:
-        typeof entry.text === "string" && entry.text.length
-          ? [{ text: entry.text }]
+function buildInlineSqlEntryNode(entry, id, pomMapping) {
+  const details = [];
+  if (isValidLine(entry.line) && entry.line !== undefined) {
+    details.push(`Line ${entry.line + 1}`);
+  }
+  if (entry.binds?.length) {
+    details.push(
+      `${entry.binds.length} bind${entry.binds.length === 1 ? "" : "s"}`
+    );
+  }
+  const businessObjects = describeBusinessObjects(entry.tables, pomMapping);
+  if (businessObjects) {
+    details.push(businessObjects);
+  }
+  const attributes = describeAttributes(entry.columns, pomMapping);
+  if (attributes) {
+    details.push(attributes);
+  }
+  return {
+    id,
+    label: truncate((entry.text ?? "").trim() || "SQL Statement", 80),
+    description: details.join(" · "),
+    line: entry.line,
+    sql: entry.text,
+    icon: entry.fromLog ? "symbol-operator" : "symbol-string",
+    contextValue: NODE_CONTEXT.INLINE_SQL,
+    clipboardItems:
+      typeof entry.text === "string" && entry.text.length
+        ? [{ text: entry.text }]
+        : undefined,
+  };
+}
+
+/**
+ * Inline SQL grouped by statement fingerprint, most frequent first, so repeated (N+1) queries
+ * stand out. Profile dump rows with the same fingerprint contribute their total time.
+ */
+function buildInlineSqlCategory(parsed, options = {}) {
+  if (!parsed.inlineSqlLines?.length) {
+    return null;
+  }
+  const dumpTimes = new Map();
+  for (const dump of parsed.sqlDumps ?? []) {
+    for (const row of dump.rows ?? []) {
+      if (row.fingerprint) {
+        dumpTimes.set(
+          row.fingerprint,
+          (dumpTimes.get(row.fingerprint) ?? 0) + row.time
+        );
+      }
+    }
+  }
+  const groups = new Map();
+  parsed.inlineSqlLines.forEach((entry, index) => {
+    const key = entry.fingerprint ?? `line:${entry.line}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, normalized: entry.normalized, entries: [] });
+    }
+    groups.get(key).entries.push({ entry, index });
+  });
+  const groupNodes = Array.from(groups.values())
+    .sort(
+      (a, b) =>
+        b.entries.length - a.entries.length ||
+        a.entries[0].entry.line - b.entries[0].entry.line
+    )
+    .map((group) => {
+      const { entries } = group;
+      if (entries.length === 1) {
+        const { entry, index } = entries[0];
+        return buildInlineSqlEntryNode(
+          entry,
+          `inlineSql:${index}:${entry.line}`,
+          options.pomMapping
+        );
+      }
+      const firstLine = entries[0].entry.line;
+      const lastLine = entries[entries.length - 1].entry.line;
+      const totalTime = dumpTimes.get(group.key);
+      const details = [
+        `${entries.length}×`,
+        `Lines ${firstLine + 1}-${lastLine + 1}`,
+      ];
+      const tooltip = [
+        group.normalized,
+        "",
+        `Occurrences: ${entries.length}`,
+        `First: line ${firstLine + 1}, last: line ${lastLine + 1}`,
+      ];
+      const businessObjects = describeBusinessObjects(
+        entries[0].entry.tables,
+        options.pomMapping
+      );
+      if (businessObjects) {
+        tooltip.push(`Business objects: ${businessObjects}`);
+      }
+      const attributes = describeAttributes(
+        entries[0].entry.columns,
+        options.pomMapping
+      );
+      if (attributes) {
+        tooltip.push(`Attributes: ${attributes}`);
+      }
+      if (totalTime !== undefined) {
+        details.push(formatSeconds(totalTime));
+        tooltip.push(
+          `Total time in SQL profile dumps: ${formatSeconds(totalTime)}`
+        );
+      }
+      return {
+        id: `inlineSql:group:${group.key}`,
+        label: truncate(group.normalized || entries[0].entry.text, 80),
+        description: details.join(" · "),
+        tooltip: tooltip.join("\n"),
+        line: firstLine,
+        icon: "symbol-operator",
+        children: entries.map(({ entry, index }) =>
+          buildInlineSqlEntryNode(
+            entry,
+            `inlineSql:${index}:${entry.line}`,
+            options.pomMapping
+          )
+        ),
+        clipboardLines: collectLinesFromObjects(
+          entries.map(({ entry }) => entry)
+        ),
+        contextValue: NODE_CONTEXT.GROUP,
+      };
+    });
+  const inlineLines = collectLinesFromObjects(parsed.inlineSqlLines ?? []);
+  return {
+    id: "root:inlineSql",
+    label: `Inline SQL (${parsed.inlineSqlLines.length})`,
+    description: `${groups.size} distinct`,
+    children: groupNodes,
+    icon: "symbol-operator",
+    clipboardLines: inlineLines,
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+/**
+ * Table-access heatmap: every table referenced by inline or profile-dump SQL, busiest first,
+ * with the statements that touch it.
+ */
+function buildTablesCategory(parsed, options = {}) {
+  const tables = new Map();
+  const addStatement = (table, statement) => {
+    if (!tables.has(table)) {
+      tables.set(table, { name: table, statements: [], calls: 0, time: 0 });
+    }
+    const entry = tables.get(table);
+    entry.statements.push(statement);
+    entry.calls += statement.calls;
+    entry.time += statement.time;
+  };
+  (parsed.inlineSqlLines ?? []).forEach((item, index) => {
+    const attributes = describeAttributes(item.columns, options.pomMapping);
+    for (const table of item.tables ?? []) {
+      addStatement(table, {
+        key: `inline:${index}:${item.line}`,
+        sql: item.text,
+        line: item.line,
+        source: "Inline",
+        calls: 1,
+        time: 0,
+        tooltip: attributes
+          ? `${item.text.trim()}\n\nAttributes: ${attributes}`
           : undefined,
-    }));
-    const inlineLines = collectLinesFromObjects(parsed.inlineSqlLines ?? []);
-    nodes.push({
-      id: "root:inlineSql",
-      label: `Inline SQL (${parsed.inlineSqlLines.length})`,
-      children: inlineSqlNodes,
-      icon: "symbol-operator",
-      clipboardLines: inlineLines,
-      contextValue: NODE_CONTEXT.CATEGORY,
+        contextValue: NODE_CONTEXT.INLINE_SQL,
+      });
+    }
+  });
+  (parsed.sqlDumps ?? []).forEach((dump, dumpIndex) => {
+    (dump.rows ?? []).forEach((row, rowIndex) => {
+      for (const table of row.tables ?? []) {
+        addStatement(table, {
+          key: `sql:${dumpIndex}:${rowIndex}:${row.line}`,
+          sql: row.sql,
+          line: row.line,
+          endLine: row.endLine,
+          source: `Dump #${dumpIndex + 1}`,
+          calls: row.calls,
+          time: row.time,
+          tooltip: describeSqlRow(row, options.pomMapping),
+          contextValue: NODE_CONTEXT.ENTRY,
+        });
+      }
     });
+  });
+  if (!tables.size) {
+    return null;
   }
+  const tableNodes = Array.from(tables.values())
+    .sort(
+      (a, b) =>
+        b.statements.length - a.statements.length ||
+        a.name.localeCompare(b.name)
+    )
+    .map((table) => {
+      const count = table.statements.length;
+      const details = [`${count} statement${count === 1 ? "" : "s"}`];
+      if (table.time > 0) {
+        details.push(formatSeconds(table.time));
+      }
+      const businessObject = describeBusinessObjects(
+        [table.name],
+        options.pomMapping
+      );
+      return {
+        id: `tables:${table.name}`,
+        label: table.name,
+        description: [businessObject, ...details].filter(Boolean).join(" · "),
+        tooltip: [
+          businessObject ? `${table.name} (${businessObject})` : table.name,
+          `${details[0]}, ${table.calls} calls`,
+        ].join("\n"),
+        icon: "table",
+        children: table.statements
+          .sort((a, b) => a.line - b.line)
+          .map((statement) => ({
+            id: `tables:${table.name}:${statement.key}`,
+            label: truncate(
+              (statement.sql ?? "").trim() || "SQL Statement",
+              80
+            ),
+            description: `${statement.source} · Line ${statement.line + 1}`,
+            tooltip: statement.tooltip,
+            line: statement.line,
+            endLine: statement.endLine,
+            sql: statement.sql,
+            icon: "symbol-string",
+            contextValue: statement.contextValue,
+            clipboardLines: collectEntrySpanLines([statement]),
+          })),
+        clipboardLines: collectEntrySpanLines(table.statements),
+        contextValue: NODE_CONTEXT.GROUP,
+      };
+    });
+  return {
+    id: "root:tables",
+    label: `Tables (${tables.size})`,
+    children: tableNodes,
+    icon: "table",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+function describeLevelCounts(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    counts.set(entry.level, (counts.get(entry.level) ?? 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .sort((a, b) => levelRank(a[0], LEVEL_ORDER) - levelRank(b[0], LEVEL_ORDER))
+    .map(([level, count]) => `${level} ${count}`)
+    .join(" · ");
+}
+
+/**
+ * Log entries grouped by the ID column, in order of first appearance, then by level. The ID the
+ * other categories are filtered to, if any, is marked.
+ */
+function buildLogIdsCategory(parsed, options = {}) {
+  const idMap = new Map();
+  for (const entry of parsed.logLines ?? []) {
+    if (!idMap.has(entry.id)) {
+      idMap.set(entry.id, []);
+    }
+    idMap.get(entry.id).push(entry);
+  }
+  if (!idMap.size) {
+    return null;
+  }
+  const hasFilter = typeof options.idFilter === "string";
+  const idNodes = Array.from(idMap.entries()).map(([id, entries]) => {
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const selected = hasFilter && options.idFilter === id;
+    const levelNodes = LEVEL_ORDER.map((level) => [
+      level,
+      entries.filter((entry) => entry.level === level),
+    ])
+      .filter(([, levelEntries]) => levelEntries.length)
+      .map(([level, levelEntries]) => ({
+        id: `logId:${id}:${level}`,
+        label: `${level} (${levelEntries.length})`,
+        icon: LEVEL_ICONS[level] ?? "circle-filled",
+        contextValue: NODE_CONTEXT.GROUP,
+        clipboardLines: collectEntrySpanLines(levelEntries),
+        children: levelEntries.map((entry) => ({
+          id: `logId:${id}:${level}:${entry.line}`,
+          label: `${entry.timestamp} - ${truncate(entry.message, 80)}`,
+          ...describeLogEntry(entry),
+          line: entry.line,
+          icon: "symbol-event",
+          contextValue: NODE_CONTEXT.ENTRY,
+        })),
+      }));
+    return {
+      id: `logId:${id}`,
+      label: `${describeLogId(id)} (${entries.length})`,
+      description: describeLevelCounts(entries),
+      tooltip: [
+        `ID: ${describeLogId(id)}`,
+        `First: ${first.timestamp} (line ${first.line + 1})`,
+        `Last: ${last.timestamp} (line ${last.line + 1})`,
+        selected ? "The other categories show only this ID." : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      line: first.line,
+      logId: id,
+      icon: selected ? "filter-filled" : "symbol-key",
+      contextValue: NODE_CONTEXT.ID_GROUP,
+      clipboardLines: collectEntrySpanLines(entries),
+      children: levelNodes,
+    };
+  });
+  return {
+    id: "root:logIds",
+    label: `By ID (${idNodes.length})`,
+    description: hasFilter
+      ? `showing only ${describeLogId(options.idFilter)}`
+      : undefined,
+    children: idNodes,
+    icon: "symbol-key",
+    contextValue: NODE_CONTEXT.CATEGORY,
+  };
+}
+
+/**
+ * Root categories in display order, together with the parser result fields each one reads. A
+ * partial re-parse only rebuilds the categories whose inputs changed. `allIds` categories ignore
+ * the ID filter; the time window applies to every category.
+ */
+const CATEGORY_BUILDERS = [
+  {
+    id: "root:overview",
+    sources: [
+      "header",
+      "systemInfo",
+      "envSections",
+      "dllSections",
+      "sessionTotals",
+      "pomStats",
+      "endSessions",
+      "truncatedNotifications",
+    ],
+    build: buildOverviewCategory,
+  },
+  {
+    id: "root:startup",
+    sources: ["logLines"],
+    build: buildServerStartupCategory,
+  },
+  { id: "root:sql", sources: ["sqlDumps"], build: buildSqlDumpsCategory },
+  {
+    id: "root:journal",
+    sources: ["journalSections", "journalHierarchyTraces"],
+    build: buildJournalsCategory,
+  },
+  {
+    id: "root:access",
+    sources: ["accessChecks"],
+    build: buildAccessChecksCategory,
+  },
+  {
+    id: "root:errorCodes",
+    sources: ["errorStacks"],
+    build: buildErrorCodesCategory,
+  },
+  {
+    id: "root:workflowHandlers",
+    sources: ["workflowHandlers", "logLines"],
+    build: buildWorkflowHandlersCategory,
+  },
+  {
+    id: "root:workflow",
+    sources: ["workflowEvents", "workflowHandlers"],
+    build: buildWorkflowCategory,
+  },
+  {
+    id: "root:soaCalls",
+    sources: ["soaMarkers", "logLines", "inlineSqlLines", "journalSections"],
+    build: buildSoaCallsCategory,
+  },
+  { id: "root:stalls", sources: ["logLines"], build: buildStallsCategory },
+  { id: "root:levels", sources: ["logLines"], build: buildLogLevelsCategory },
+  {
+    id: "root:logIds",
+    sources: ["logLines"],
+    build: buildLogIdsCategory,
+    allIds: true,
+  },
+  {
+    id: "root:inlineSql",
+    sources: ["inlineSqlLines", "sqlDumps"],
+    build: buildInlineSqlCategory,
+  },
+  {
+    id: "root:tables",
+    sources: ["inlineSqlLines", "sqlDumps"],
+    build: buildTablesCategory,
+  },
+];
 
+// The filtered parser result each builder reads, computed at most once per variant.
+function createFilteredSource(parsed, options) {
+  const cache = new Map();
+  return (builder) => {
+    const ignoreId = Boolean(builder.allIds);
+    if (!cache.has(ignoreId)) {
+      cache.set(ignoreId, applyParsedFilters(parsed, options, { ignoreId }));
+    }
+    return cache.get(ignoreId);
+  };
+}
+
+/**
+ * Builds the hierarchical tree model consumed by the explorer views. Keeping this logic here lets
+ * us reuse it in tests or other controllers without pulling in VS Code specifics.
+ */
+export function buildTreeModel(parsed, resource, options = {}) {
+  if (!parsed) {
+    return { resource, nodes: [] };
+  }
+
+  const filtered = createFilteredSource(parsed, options);
+  const nodes = CATEGORY_BUILDERS.map((builder) =>
+    builder.build(filtered(builder), options, parsed)
+  ).filter(Boolean);
   return { resource, nodes };
 }
+
+/**
+ * Rebuilds only the root categories that depend on `changedKeys` and reuses the previous nodes
+ * for the rest. `changedNodes` lists the root nodes that were rebuilt.
+ */
+export function patchTreeModel(previous, parsed, changedKeys, options = {}) {
+  if (!previous || !parsed) {
+    const model = buildTreeModel(parsed, previous?.resource, options);
+    return { ...model, changedNodes: model.nodes };
+  }
+  const previousById = new Map(previous.nodes.map((node) => [node.id, node]));
+  const nodes = [];
+  const changedNodes = [];
+  const filtered = createFilteredSource(parsed, options);
+  for (const builder of CATEGORY_BUILDERS) {
+    // Under a filter every item's owner depends on the log lines before it.
+    const affected =
+      builder.sources.some((key) => changedKeys.has(key)) ||
+      (hasParsedFilter(options) && changedKeys.has("logLines"));
+    const node = affected
+      ? builder.build(filtered(builder), options, parsed)
+      : previousById.get(builder.id) ?? null;
+    if (!node) {
+      continue;
+    }
+    nodes.push(node);
+    if (affected) {
+      changedNodes.push(node);
+    }
+  }
+  return { resource: previous.resource, nodes, changedNodes };
+}
+
+/**
+ * Nodes for the SQL Hotspots view: one per distinct statement, with the dump rows it was
+ * aggregated from as children.
+ */
+export function buildSqlHotspotNodes(parsed, options = {}) {
+  return buildSqlHotspots(parsed?.sqlDumps).map((hotspot, index) => {
+    const first = hotspot.occurrences[0].row;
+    return {
+      id: `sqlHotspot:${index}:${first.line}`,
+      label: truncate(hotspot.sql, 100),
+      description: [
+        describeBusinessObjects(hotspot.tables, options.pomMapping),
+        describeAttributes(hotspot.columns, options.pomMapping),
+      ]
+        .filter(Boolean)
+        .join(" · "),
+      tooltip: describeSqlRow(hotspot, options.pomMapping),
+      line: first.line,
+      endLine: first.endLine,
+      icon: "flame",
+      metrics: {
+        time: hotspot.time,
+        dbTime: hotspot.dbTime,
+        calls: hotspot.calls,
+        rows: hotspot.rows,
+      },
+      children: hotspot.occurrences.map(({ dumpIndex, row }) => ({
+        id: `sqlHotspot:${index}:row:${row.line}`,
+        label: `Dump #${dumpIndex + 1}, row ${row.nr}`,
+        description: `${formatSeconds(row.time)} · ${row.calls} calls · Line ${
+          row.line + 1
+        }`,
+        tooltip: describeSqlRow(row, options.pomMapping),
+        line: row.line,
+        endLine: row.endLine,
+        icon: "symbol-string",
+      })),
+    };
+  });
+}
+
+/**
+ * Nodes for the Journal Hotspots view: one per function and section type, with the sections it
+ * was aggregated from as children.
+ */
+export function buildJournalHotspotNodes(parsed) {
+  return buildJournalHotspots(parsed?.journalSections).map((hotspot, index) => {
+    const first = hotspot.occurrences[0].row;
+    return {
+      id: `journalHotspot:${index}:${first.line}`,
+      label: hotspot.functionName,
+      description: hotspot.type === "topLevel" ? "top-level" : undefined,
+      tooltip: [
+        hotspot.functionName,
+        "",
+        `Sections: ${hotspot.occurrences.length}`,
+        `Elapsed: ${formatSeconds(hotspot.elapsed)}  CPU: ${formatSeconds(
+          hotspot.cpu
+        )}`,
+        `DB trips: ${hotspot.dbTrips}  Calls: ${hotspot.calls}`,
+      ].join("\n"),
+      line: first.line,
+      icon: "pulse",
+      metrics: {
+        elapsed: hotspot.elapsed,
+        cpu: hotspot.cpu,
+        dbTrips: hotspot.dbTrips,
+        calls: hotspot.calls,
+        delta: hotspot.delta,
+      },
+      children: hotspot.occurrences.map(
+        ({ sectionIndex, row, sample, delta }) => ({
+          id: `journalHotspot:${index}:section:${sectionIndex}:${row.line}`,
+          label: `Section #${sectionIndex + 1}`,
+          description: [
+            formatSeconds(sample.elapsed),
+            `${sample.calls} calls`,
+            delta
+              ? `Δ ${formatDelta(delta.elapsed)}, ${
+                  delta.calls >= 0 ? "+" : ""
+                }${delta.calls} calls`
+              : null,
+            `Line ${row.line + 1}`,
+          ]
+            .filter(Boolean)
+            .join(" · "),
+          tooltip: row.text?.trim(),
+          line: row.line,
+          icon: "graph",
+        })
+      ),
+    };
+  });
+}
+
+export function findNodeById(nodes, id) {
+  const pending = [...(nodes ?? [])];
+  while (pending.length) {
+    const node = pending.pop();
+    if (node.id === id) {
+      return node;
+    }
+    pending.push(...(node.children ?? []));
+  }
+  return null;
+}
+
+/**
+ * Root node that shows a copy of one call-tree subtree on its own, expanded. Copies get their own
+ * ids because VS Code requires ids to be unique within a view.
+ */
+export function buildCallTreeFocusNode(node) {
+  const copy = (source) => ({
+    ...source,
+    id: `focus:${source.id}`,
+    children: source.children?.map(copy),
+  });
+  return {
+    id: "root:callTreeFocus",
+    label: `Focus: ${node.label}`,
+    description: node.description,
+    icon: "target",
+    expanded: true,
+    children: [{ ...copy(node), expanded: true }],
+    contextValue: NODE_CONTEXT.CALL_TREE_FOCUS,
+  };
+}
@@ -0,0 +1,124 @@
+const UNKNOWN_JOB = "(unknown job)";
+const UNKNOWN_TASK = "(no task)";
+
+function createTask(name, line) {
+  return {
+    name,
+    line,
+    state: null,
+    states: [],
+    handlers: [],
+    arguments: [],
+    decisions: [],
+    errors: [],
+  };
+}
+
+/**
+ * Replays workflow events and handler ENTERs in line order to rebuild jobs → tasks → handlers.
+ * A job or task line sets the context for everything after it; handlers belong to the task
+ * current at their ENTER and nested handlers stay under their parent. Non-zero ifail codes are
+ * recorded on the handler and collected in its task's `errors`.
+ */
+export function buildWorkflowProcesses(events, handlers) {
+  const jobs = [];
+  const jobsByName = new Map();
+  const handlerNodes = new Map();
+  let job = null;
+  let task = null;
+
+  const ensureJob = (name, line) => {
+    let found = jobsByName.get(name);
+    if (!found) {
+      found = { name, line, tasks: [], tasksByName: new Map() };
+      jobsByName.set(name, found);
+      jobs.push(found);
+    }
+    return found;
+  };
+  const ensureTask = (name, line) => {
+    job = job ?? ensureJob(UNKNOWN_JOB, line);
+    let found = job.tasksByName.get(name);
+    if (!found) {
+      found = createTask(name, line);
+      job.tasksByName.set(name, found);
+      job.tasks.push(found);
+    }
+    return found;
+  };
+  const recordError = (owner, handlerNode, code, line) => {
+    owner.errors.push({
+      code,
+      line,
+      handler: handlerNode?.entry.functionName ?? null,
+    });
+  };
+
+  const steps = [
+    ...(events ?? []).map((event) => ({ line: event.line, event })),
+    ...(handlers ?? []).map((entry) => ({ line: entry.line, entry })),
+  ].sort((a, b) => a.line - b.line);
+
+  for (const { event, entry } of steps) {
+    if (entry) {
+      const parent =
+        entry.parent !== null ? handlerNodes.get(entry.parent) : undefined;
+      const owner =
+        parent?.task ?? task ?? ensureTask(UNKNOWN_TASK, entry.line);
+      const node = {
+        entry,
+        task: owner,
+        arguments: [],
+        decisions: [],
+        ifail: entry.ifail ?? null,
+        children: [],
+      };
+      handlerNodes.set(entry.index, node);
+      (parent ? parent.children : owner.handlers).push(node);
+      if (node.ifail) {
+        recordError(owner, node, node.ifail, entry.endLine);
+      }
+      continue;
+    }
+    const handlerNode =
+      event.handler !== null ? handlerNodes.get(event.handler) : undefined;
+    if (event.kind === "job") {
+      job = ensureJob(event.name, event.line);
+      task = null;
+    } else if (event.kind === "task") {
+      task = ensureTask(event.name, event.line);
+    } else if (event.kind === "state") {
+      const target = handlerNode?.task ?? task;
+      if (target) {
+        target.states.push({
+          from: event.from,
+          to: event.to,
+          line: event.line,
+        });
+        target.state = event.to;
+      }
+    } else if (event.kind === "arguments") {
+      const target = handlerNode ?? task;
+      target?.arguments.push(
+        ...event.args.map((arg) => ({ ...arg, line: event.line }))
+      );
+    } else if (event.kind === "decision") {
+      const target = handlerNode ?? task;
+      target?.decisions.push({ value: event.value, line: event.line });
+    } else if (
+      event.kind === "ifail" &&
+      event.code &&
+      handlerNode?.ifail !== event.code
+    ) {
+      // The handler body often logs the code its LEAVE line returns; count it once.
+      const owner = handlerNode?.task ?? task;
+      if (handlerNode) {
+        handlerNode.ifail = handlerNode.ifail || event.code;
+      }
+      if (owner) {
+        recordError(owner, handlerNode, event.code, event.line);
+      }
+    }
+  }
+  return jobs.map(({ tasksByName, ...rest }) => rest);
+}
@@ -1,8 +1,12 @@
 import { SyslogController } from "./core/syslogController.js";
 import { registerUserCommands } from "./ui/general/userInteractions.js";
+import { registerPomHoverProvider } from "./ui/general/pomHoverProvider.js";
+import { registerErrorCodeHoverProvider } from "./ui/general/errorCodeHoverProvider.js";
+import { registerLineTimeHoverProvider } from "./ui/general/lineTimeHoverProvider.js";
 import { leftSidePanel } from "./ui/panels/leftSidePanel/leftSidePanel.js";
 import { centerBottomPanel } from "./ui/panels/centerBottomPanel/centerBottomPanel.js";
 import { registerAiChatView } from "./ui/panels/centerBottomPanel/views/tcSyslogViewerAiView.js";
+import { registerTimelineView } from "./ui/panels/centerBottomPanel/views/tcSyslogViewerTimelineView.js";
 
 /**
  * Entry point for the TC Syslog viewer extension.
@@ -13,6 +17,10 @@ export function activate(context) {
   const controller = new SyslogController(context, sidebar, panel);
   controller.initialize();
   registerAiChatView(context, controller);
+  registerTimelineView(context, controller);
+  registerPomHoverProvider(context, controller);
+  registerErrorCodeHoverProvider(context, controller);
+  registerLineTimeHoverProvider(context, controller);
 
   registerUserCommands(context, controller);
 }
@@ -0,0 +1,119 @@
+/**
+ * Reads the Access Manager debug lines that follow `AM_check_priv (...) on <tag>`: the rule tree
+ * walk, the ACLs it reaches, accessor matches and the final verdict.
+ */
+const AM_HINT_REGEX =
+  /\b(?:AM|rule|ACL|accessor|privilege|granted|denied|grant|deny|object)\b/i;
+const VERDICT_REGEX =
+  /\b(?:result|verdict|decision|access(?:\s+is)?|returns?|privilege\s+is)\s*[:=]?\s*"?(GRANTED|DENIED|GRANT|DENY|TRUE|FALSE)\b/i;
+const BARE_VERDICT_REGEX = /^(?:access\s+)?(GRANTED|DENIED)\b/i;
+const RULE_REGEX =
+  /\brule\s*(?:[:=]\s*|(?="))(?:"([^"]+)"|(.+?))(?=\s*(?:->|=>|,|$))/i;
+const ACL_REGEX = /\bACL\s*(?:name)?\s*[:=]?\s*(?:"([^"]+)"|([^\s,;:]+))/i;
+const ACCESSOR_REGEX =
+  /\baccessor\s*(?:type)?\s*[:=]?\s*(?:"([^"]+)"|(.+?))(?=\s+(?:matched|matches)\b|\s*[,;]|\s{2,}|$)/i;
+const EFFECT_REGEX = /\b(grant(?:ed)?|den(?:y|ied))\b/i;
+const OBJECT_REGEX = /\bobject\s*[:=]?\s*(?:"([^"]+)"|(.+?))\s*$/i;
+
+// "(rule: Has Status(Released))" leaves the closing parenthesis of the note on the name.
+function trimUnbalanced(text) {
+  let value = text.trim();
+  const count = (char) => value.split(char).length - 1;
+  while (value.endsWith(")") && count(")") > count("(")) {
+    value = value.slice(0, -1).trim();
+  }
+  return value;
+}
+
+function normalizeVerdict(value) {
+  const upper = String(value ?? "").toUpperCase();
+  if (upper === "GRANTED" || upper === "GRANT" || upper === "TRUE") {
+    return "GRANTED";
+  }
+  if (upper === "DENIED" || upper === "DENY" || upper === "FALSE") {
+    return "DENIED";
+  }
+  return null;
+}
+
+function effectOf(text) {
+  const match = EFFECT_REGEX.exec(text);
+  if (!match) {
+    return null;
+  }
+  return match[1].toLowerCase().startsWith("g") ? "GRANTED" : "DENIED";
+}
+
+/**
+ * Verdict stated on a line, or null. Used for the `AM_check_priv` line itself as well, since
+ * some levels print the result right after the target.
+ */
+export function parseAccessVerdict(text) {
+  const source = String(text ?? "").trim();
+  const match = VERDICT_REGEX.exec(source) ?? BARE_VERDICT_REGEX.exec(source);
+  return match ? normalizeVerdict(match[1]) : null;
+}
+
+/**
+ * One step of an evaluation block: `{ kind, text, rule, acl, accessor, effect, verdict,
+ * objectName }`, where `kind` is "verdict", "accessor", "acl", "rule" or "note". Returns null
+ * for lines that are not Access Manager output, which ends the block.
+ */
+export function parseAccessStep(text) {
+  const source = String(text ?? "").trim();
+  if (!source || !AM_HINT_REGEX.test(source)) {
+    return null;
+  }
+  const rule = RULE_REGEX.exec(source);
+  const acl = ACL_REGEX.exec(source);
+  const accessor = ACCESSOR_REGEX.exec(source);
+  const object = OBJECT_REGEX.exec(source);
+  const verdict = parseAccessVerdict(source);
+  const step = {
+    kind: "note",
+    text: source,
+    rule: rule ? trimUnbalanced(rule[1] ?? rule[2]) : null,
+    acl: acl ? acl[1] ?? acl[2] : null,
+    accessor: accessor ? trimUnbalanced(accessor[1] ?? accessor[2]) : null,
+    effect: verdict ?? effectOf(source),
+    verdict,
+    objectName: null,
+  };
+  if (verdict) {
+    step.kind = "verdict";
+  } else if (step.accessor) {
+    step.kind = "accessor";
+  } else if (step.acl) {
+    step.kind = "acl";
+  } else if (step.rule) {
+    step.kind = "rule";
+  } else if (object) {
+    step.objectName = (object[1] ?? object[2]).trim();
+  }
+  return step;
+}
+
+/**
+ * The rule and ACL that decided a check: named on the verdict line when the log says so,
+ * otherwise the last step whose effect matches the verdict, otherwise the last ones reached.
+ */
+export function findDecidingStep(check) {
+  const steps = check.steps ?? [];
+  const verdictStep = steps.find((step) => step.kind === "verdict");
+  const matching = [...steps]
+    .reverse()
+    .find(
+      (step) =>
+        step.kind !== "verdict" &&
+        step.effect &&
+        step.effect === check.verdict &&
+        (step.acl || step.rule)
+    );
+  const lastOf = (key) =>
+    [...steps].reverse().find((step) => step[key])?.[key] ?? null;
+  return {
+    rule: verdictStep?.rule ?? matching?.rule ?? lastOf("rule"),
+    acl: verdictStep?.acl ?? matching?.acl ?? lastOf("acl"),
+    accessor: matching?.accessor ?? null,
+  };
+}
@@ -1,162 +0,0 @@
-// Generated from src/parse/antlr/tcServerSyslogGrammar.g4 by ANTLR 4.13.2
-// jshint ignore: start
-import antlr4 from 'antlr4';
-
-// This class defines a complete listener for a parse tree produced by tcServerSyslogGrammarParser.
-export default class tcServerSyslogGrammarListener extends antlr4.tree.ParseTreeListener {
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#logFile.
-	enterLogFile(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#logFile.
-	exitLogFile(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#header.
-	enterHeader(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#header.
-	exitHeader(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#systemInfo.
-	enterSystemInfo(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#systemInfo.
-	exitSystemInfo(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#logLine.
-	enterLogLine(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#logLine.
-	exitLogLine(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#envSection.
-	enterEnvSection(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#envSection.
-	exitEnvSection(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#envLine.
-	enterEnvLine(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#envLine.
-	exitEnvLine(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#dllSection.
-	enterDllSection(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#dllSection.
-	exitDllSection(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#dllLine.
-	enterDllLine(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#dllLine.
-	exitDllLine(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#sqlDump.
-	enterSqlDump(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#sqlDump.
-	exitSqlDump(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#sqlHeader.
-	enterSqlHeader(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#sqlHeader.
-	exitSqlHeader(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#sqlRow.
-	enterSqlRow(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#sqlRow.
-	exitSqlRow(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#journalSection.
-	enterJournalSection(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#journalSection.
-	exitJournalSection(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#journalLine.
-	enterJournalLine(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#journalLine.
-	exitJournalLine(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#pomStats.
-	enterPomStats(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#pomStats.
-	exitPomStats(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#endSession.
-	enterEndSession(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#endSession.
-	exitEndSession(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#truncated.
-	enterTruncated(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#truncated.
-	exitTruncated(ctx) {
-	}
-
-
-	// Enter a parse tree produced by tcServerSyslogGrammarParser#otherLine.
-	enterOtherLine(ctx) {
-	}
-
-	// Exit a parse tree produced by tcServerSyslogGrammarParser#otherLine.
-	exitOtherLine(ctx) {
-	}
-
-
-
-}
\ No newline at end of file
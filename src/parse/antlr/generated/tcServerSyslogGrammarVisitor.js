@@ -1,112 +0,0 @@
-// Generated from src/parse/antlr/tcServerSyslogGrammar.g4 by ANTLR 4.13.2
-// jshint ignore: start
-import antlr4 from 'antlr4';
-
-// This class defines a complete generic visitor for a parse tree produced by tcServerSyslogGrammarParser.
-
-export default class tcServerSyslogGrammarVisitor extends antlr4.tree.ParseTreeVisitor {
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#logFile.
-	visitLogFile(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#header.
-	visitHeader(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#systemInfo.
-	visitSystemInfo(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#logLine.
-	visitLogLine(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#envSection.
-	visitEnvSection(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#envLine.
-	visitEnvLine(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#dllSection.
-	visitDllSection(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#dllLine.
-	visitDllLine(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#sqlDump.
-	visitSqlDump(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#sqlHeader.
-	visitSqlHeader(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#sqlRow.
-	visitSqlRow(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#journalSection.
-	visitJournalSection(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#journalLine.
-	visitJournalLine(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#pomStats.
-	visitPomStats(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#endSession.
-	visitEndSession(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#truncated.
-	visitTruncated(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-	// Visit a parse tree produced by tcServerSyslogGrammarParser#otherLine.
-	visitOtherLine(ctx) {
-	  return this.visitChildren(ctx);
-	}
-
-
-
-}
\ No newline at end of file
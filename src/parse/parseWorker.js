@@ -0,0 +1,161 @@
+import { parentPort } from "node:worker_threads";
+
+import {
+  ParseCancelledError,
+  SyslogStreamParser,
+  parseTeamcenterLog,
+  parseTeamcenterLogAppend,
+  parseTeamcenterLogFile,
+} from "./tcServerSyslogParser.js";
+
+/**
+ * Worker thread entry point. Parsing runs here so the extension host stays responsive while large
+ * syslogs are processed; results travel back to the main thread via structured clone.
+ *
+ * The parser of the most recent full parse is kept as a session so that later edits can be
+ * re-parsed from the nearest anchor instead of from the top of the file. A job that is cancelled
+ * drops the session, and one for an older `revision` than the parser's asks for a resync: the
+ * main thread discards cancelled results, so it would otherwise patch a stale copy.
+ */
+const PROGRESS_INTERVAL_MS = 150;
+
+let session = null;
+
+function createCancellationCheck(cancelBuffer) {
+  if (!(cancelBuffer instanceof SharedArrayBuffer)) {
+    return () => false;
+  }
+  const flag = new Int32Array(cancelBuffer);
+  return () => Atomics.load(flag, 0) === 1;
+}
+
+function createJobOptions(jobId, cancelBuffer) {
+  const isCancelled = createCancellationCheck(cancelBuffer);
+  let lastProgressAt = 0;
+  return {
+    isCancelled,
+    onProgress: ({ stage, fraction }) => {
+      const now = Date.now();
+      if (now - lastProgressAt < PROGRESS_INTERVAL_MS) {
+        return;
+      }
+      lastProgressAt = now;
+      parentPort.postMessage({ type: "progress", jobId, stage, fraction });
+    },
+  };
+}
+
+async function runParseJob(message) {
+  const { filePath, content, sessionKey } = message;
+  const parser = new SyslogStreamParser();
+  const options = {
+    ...createJobOptions(message.jobId, message.cancelBuffer),
+    parser,
+  };
+  session = null;
+  if (options.isCancelled()) {
+    throw new ParseCancelledError();
+  }
+  const result =
+    typeof filePath === "string" && filePath
+      ? await parseTeamcenterLogFile(filePath, options)
+      : parseTeamcenterLog(content ?? "", options);
+  if (options.isCancelled()) {
+    throw new ParseCancelledError();
+  }
+  if (sessionKey) {
+    session = { key: sessionKey, parser };
+  }
+  return result;
+}
+
+function runReparseJob(message) {
+  const { sessionKey, fromLine, content, revision } = message;
+  // The text starts at `fromLine`, so it has to be the anchor the parser would resume from.
+  if (
+    !session ||
+    session.key !== sessionKey ||
+    session.parser.result.revision !== revision ||
+    fromLine > session.parser.lineIndex ||
+    session.parser.findAnchor(fromLine) !== fromLine
+  ) {
+    return { resync: true };
+  }
+  const { parser } = session;
+  const options = {
+    ...createJobOptions(message.jobId, message.cancelBuffer),
+    parser,
+  };
+  // A cancelled re-parse leaves the parser half way; drop it so the next change resyncs.
+  session = null;
+  const anchor = parser.resumeAt(fromLine);
+  parseTeamcenterLog(content ?? "", options);
+  if (options.isCancelled()) {
+    throw new ParseCancelledError();
+  }
+  // The text came from the editor, so the parser no longer mirrors the file on disk.
+  parser.fileState = null;
+  session = { key: sessionKey, parser };
+  return { delta: parser.createDelta(anchor) };
+}
+
+async function runAppendJob(message) {
+  const { sessionKey, filePath, revision } = message;
+  if (
+    !session ||
+    session.key !== sessionKey ||
+    session.parser.result.revision !== revision
+  ) {
+    return { resync: true };
+  }
+  const { parser } = session;
+  const options = {
+    ...createJobOptions(message.jobId, message.cancelBuffer),
+    parser,
+  };
+  session = null;
+  const anchor = await parseTeamcenterLogAppend(filePath, options);
+  if (anchor === null) {
+    return { resync: true };
+  }
+  if (options.isCancelled()) {
+    throw new ParseCancelledError();
+  }
+  session = { key: sessionKey, parser };
+  return { delta: parser.createDelta(anchor) };
+}
+
+async function runJob(message) {
+  const { jobId } = message;
+  try {
+    let result;
+    if (message.type === "reparse") {
+      result = runReparseJob(message);
+    } else if (message.type === "append") {
+      result = await runAppendJob(message);
+    } else {
+      result = await runParseJob(message);
+    }
+    parentPort.postMessage({ type: "result", jobId, result });
+  } catch (error) {
+    if (error instanceof ParseCancelledError) {
+      parentPort.postMessage({ type: "cancelled", jobId });
+      return;
+    }
+    parentPort.postMessage({
+      type: "error",
+      jobId,
+      message: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
+
+// File parses are asynchronous, so jobs are chained to keep them strictly one at a time.
+let queue = Promise.resolve();
+const JOB_TYPES = new Set(["parse", "reparse", "append"]);
+
+parentPort.on("message", (message) => {
+  if (JOB_TYPES.has(message?.type)) {
+    queue = queue.then(() => runJob(message));
+  }
+});
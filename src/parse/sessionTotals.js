@@ -0,0 +1,95 @@
+/**
+ * Helpers for the plain `START JOURNALLED_TIMES` block the server writes at the end of a session.
+ * Around the nested per-function tables it prints the session totals as `label = value` pairs
+ * (elapsed, CPU and DB time, SQL and DB trip counts), one or several per line.
+ */
+export const SESSION_TOTALS_START_REGEX = /^START JOURNALLED_TIMES(?:\s|$)/i;
+export const SESSION_TOTALS_END_REGEX = /^END JOURNALLED_TIMES(?:\s|$)/i;
+
+/**
+ * Metrics recognised by label, most specific first. Time metrics are normalised to seconds.
+ */
+export const SESSION_TOTAL_METRICS = [
+  {
+    key: "dbTime",
+    label: "DB Time",
+    kind: "time",
+    pattern: /\b(?:db|database|sql|oracle)\b.*\btime\b/i,
+  },
+  {
+    key: "elapsed",
+    label: "Elapsed Time",
+    kind: "time",
+    pattern: /\b(?:elapsed|wall)\b/i,
+  },
+  { key: "cpu", label: "CPU Time", kind: "time", pattern: /\bcpu\b/i },
+  { key: "dbTrips", label: "DB Trips", kind: "count", pattern: /\btrips?\b/i },
+  {
+    key: "sqlStatements",
+    label: "SQL Statements",
+    kind: "count",
+    pattern: /\b(?:sql|statements?|quer(?:y|ies))\b/i,
+  },
+  { key: "calls", label: "Calls", kind: "count", pattern: /\bcalls?\b/i },
+];
+
+const PAIR_REGEX =
+  /^([A-Za-z][A-Za-z0-9 ()/_.#%+-]*?)\s*(?:[:=]\s*|\s{2,})(-?\d+(?:\.\d+)?)\s*([A-Za-z%]+)?\.?$/;
+const LABEL_UNIT_REGEX = /\s*\((s|secs?|seconds|ms|msecs?|milliseconds)\)$/i;
+const MILLISECOND_UNITS = new Set(["ms", "msec", "msecs", "milliseconds"]);
+
+function findMetric(label) {
+  return SESSION_TOTAL_METRICS.find((metric) => metric.pattern.test(label));
+}
+
+/**
+ * Reads the `label = value` pairs on one totals line. Returns an empty array for lines that
+ * carry no totals (table rows, headers, separators).
+ */
+export function parseSessionTotalLine(raw, line) {
+  const body = (raw ?? "").trim().replace(/^@\*\s*/, "");
+  const metrics = [];
+  for (const segment of body.split(/[,;]\s+/)) {
+    const match = PAIR_REGEX.exec(segment.trim());
+    if (!match) {
+      continue;
+    }
+    const unitMatch = LABEL_UNIT_REGEX.exec(match[1]);
+    const label = match[1].replace(LABEL_UNIT_REGEX, "").trim();
+    const unit = (match[3] ?? unitMatch?.[1] ?? "").toLowerCase();
+    const metric = findMetric(label);
+    let value = Number(match[2]);
+    if (metric?.kind === "time" && MILLISECOND_UNITS.has(unit)) {
+      value /= 1000;
+    }
+    metrics.push({
+      key: metric?.key ?? null,
+      label,
+      value,
+      unit: metric?.kind === "time" ? "s" : unit,
+      line,
+    });
+  }
+  return metrics;
+}
+
+/**
+ * Keyed view of a totals block: `{ elapsed, cpu, dbTime, ... }` with the first value found for
+ * each recognised metric.
+ */
+export function summarizeSessionTotals(block) {
+  const totals = {};
+  for (const metric of block?.metrics ?? []) {
+    if (metric.key && totals[metric.key] === undefined) {
+      totals[metric.key] = metric.value;
+    }
+  }
+  return totals;
+}
+
+export function formatSessionTotal(metric) {
+  if (metric.unit === "s") {
+    return `${metric.value.toFixed(3)}s`;
+  }
+  return metric.unit ? `${metric.value} ${metric.unit}` : String(metric.value);
+}
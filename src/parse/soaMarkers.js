@@ -0,0 +1,43 @@
+/**
+ * Recognises the lines that open and close a SOA request, e.g.
+ * `Start of request Core-2006-03-DataManagement.getProperties` and the matching `End of ...`.
+ * Each line is read on its own; `buildSoaCalls` pairs starts with ends.
+ */
+const SOA_HINT_REGEX = /-\d{4}-\d{2}-/;
+// `Start of request <operation>` / `End of request <operation>`, also written with "operation"
+// in place of "request". The marker phrase has to open the message.
+const SOA_MARKER_REGEX =
+  /^(Start|End) of (?:SOA )?(?:request|operation):?\s+([A-Z][A-Za-z0-9]*-\d{4}-\d{2}-[A-Za-z][A-Za-z0-9]*)(?:\.|::|\/)([A-Za-z_][A-Za-z0-9_]*)\b/i;
+const SOA_ELAPSED_REGEX =
+  /\b(?:took|in|elapsed|time|duration)\s*[:=]?\s*(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?)\b/i;
+
+/**
+ * A SOA boundary on one line: `{ kind, service, operation, name, elapsed }`, where `kind` is
+ * "start" or "end" and `elapsed` is the duration in milliseconds an end marker reports, if any.
+ * Lines that only mention an operation, outside those marker phrases, return null.
+ */
+export function parseSoaMarker(text) {
+  const source = String(text ?? "").trim();
+  if (!SOA_HINT_REGEX.test(source)) {
+    return null;
+  }
+  const marker = SOA_MARKER_REGEX.exec(source);
+  if (!marker) {
+    return null;
+  }
+  const kind = marker[1].toLowerCase() === "end" ? "end" : "start";
+  const elapsed =
+    kind === "end"
+      ? SOA_ELAPSED_REGEX.exec(source.slice(marker[0].length))
+      : null;
+  return {
+    kind,
+    service: marker[2],
+    operation: marker[3],
+    name: `${marker[2]}.${marker[3]}`,
+    elapsed: elapsed
+      ? Number(elapsed[1]) *
+        (elapsed[2].toLowerCase().startsWith("m") ? 1 : 1000)
+      : null,
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Helpers that reduce SQL statements to their shape so repeated queries can be grouped even
+ * when their literal UIDs, bind values or IN-lists differ.
+ */
+const STRING_LITERAL_REGEX = /'(?:[^']|'')*'/g;
+const BLOCK_COMMENT_REGEX = /\/\*[\s\S]*?\*\//g;
+const LINE_COMMENT_REGEX = /--[^\n]*/g;
+// Oracle (:1, :name), SQL Server (@P1) and JDBC-style (?) binds.
+const BIND_REGEX = /(?::[A-Za-z0-9_]+|@[A-Za-z][A-Za-z0-9_]*|\?)/g;
+const NUMBER_REGEX = /(?<![A-Za-z0-9_.$#])\d+(?:\.\d+)?(?:[eE][-+]?\d+)?\b/g;
+const IN_LIST_REGEX = /\bIN\(\?(?:,\?)*\)/gi;
+const PLACEHOLDER = "?";
+
+/**
+ * Replaces literals and bind variables with `?`, collapses `IN (...)` lists to a single
+ * placeholder and normalises case and whitespace.
+ */
+export function normalizeSql(sql) {
+  if (typeof sql !== "string") {
+    return "";
+  }
+  return sql
+    .replace(BLOCK_COMMENT_REGEX, " ")
+    .replace(STRING_LITERAL_REGEX, PLACEHOLDER)
+    .replace(LINE_COMMENT_REGEX, " ")
+    .replace(BIND_REGEX, PLACEHOLDER)
+    .replace(NUMBER_REGEX, PLACEHOLDER)
+    .replace(/\s+/g, " ")
+    .replace(/\s*([(,=<>])\s*/g, "$1")
+    .replace(/\s+\)/g, ")")
+    .replace(IN_LIST_REGEX, "IN(...)")
+    .replace(/,/g, ", ")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Short stable hash (32-bit FNV-1a, hex) of the normalised statement.
+ */
+export function fingerprintSql(normalized) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < normalized.length; index += 1) {
+    hash ^= normalized.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+const TABLE_TOKEN_REGEX =
+  /'(?:[^']|'')*'|"(?:[^"]|"")*"|[A-Za-z_][\w$#]*(?:\.[A-Za-z_"][\w$#"]*)*|[(),;]/g;
+// Keywords after which a table name follows.
+const TABLE_KEYWORDS = new Set(["FROM", "JOIN", "INTO", "UPDATE"]);
+// Keywords that end a table list; anything else after a table name is its alias.
+const TABLE_LIST_STOP_WORDS = new Set([
+  "WHERE",
+  "ON",
+  "USING",
+  "JOIN",
+  "INNER",
+  "LEFT",
+  "RIGHT",
+  "FULL",
+  "CROSS",
+  "NATURAL",
+  "OUTER",
+  "GROUP",
+  "ORDER",
+  "HAVING",
+  "UNION",
+  "INTERSECT",
+  "MINUS",
+  "EXCEPT",
+  "SET",
+  "VALUES",
+  "SELECT",
+  "CONNECT",
+  "START",
+  "FOR",
+  "FETCH",
+  "OFFSET",
+  "LIMIT",
+  "WITH",
+  "PARTITION",
+  "RETURNING",
+]);
+const IGNORED_TABLES = new Set(["DUAL"]);
+
+/**
+ * Upper-case names of the tables a statement reads or writes, without schema prefix. Covers
+ * FROM lists with aliases, JOINs, INSERT INTO, UPDATE and sub-queries; FROM inside function
+ * calls such as EXTRACT(YEAR FROM ...) is ignored.
+ */
+export function extractTables(sql) {
+  if (typeof sql !== "string") {
+    return [];
+  }
+  const tokens = Array.from(
+    sql
+      .replace(BLOCK_COMMENT_REGEX, " ")
+      .replace(LINE_COMMENT_REGEX, " ")
+      .matchAll(TABLE_TOKEN_REGEX),
+    (match) => match[0]
+  );
+  const tables = new Set();
+  // Open parentheses; `call` marks function calls and lists, `inFrom` derived tables.
+  const parens = [];
+  let expect = null;
+  let listKeyword = null;
+  tokens.forEach((token, index) => {
+    const upper = token.toUpperCase();
+    if (token === "(") {
+      const next = tokens[index + 1]?.toUpperCase();
+      const query = next === "SELECT" || next === "WITH";
+      parens.push({
+        call: !query,
+        inFrom: query && expect === "table" ? listKeyword : null,
+      });
+      expect = null;
+      return;
+    }
+    if (token === ")") {
+      const closed = parens.pop();
+      // A derived table in a FROM list is followed by its alias and maybe more tables.
+      listKeyword = closed?.inFrom ?? listKeyword;
+      expect = closed?.inFrom ? "alias" : null;
+      return;
+    }
+    if (TABLE_KEYWORDS.has(upper)) {
+      const inCall = parens.length && parens[parens.length - 1].call;
+      expect = inCall ? null : "table";
+      listKeyword = upper;
+      return;
+    }
+    if (expect === "table") {
+      // FROM TABLE(...) reads a collection, but INSERT INTO t (cols) names a table.
+      const tableFunction = tokens[index + 1] === "(" && listKeyword !== "INTO";
+      if (/^[A-Za-z_"]/.test(token) && !tableFunction) {
+        const name = token.split(".").pop().replace(/"/g, "").toUpperCase();
+        if (name && !IGNORED_TABLES.has(name)) {
+          tables.add(name);
+        }
+        expect = "alias";
+      } else {
+        expect = null;
+      }
+      return;
+    }
+    if (expect === "alias") {
+      if (token === "," && listKeyword === "FROM") {
+        expect = "table";
+      } else if (upper === "AS") {
+        return;
+      } else if (
+        /^[A-Za-z_"]/.test(token) &&
+        !TABLE_LIST_STOP_WORDS.has(upper)
+      ) {
+        expect = "afterAlias";
+      } else {
+        expect = null;
+      }
+      return;
+    }
+    if (expect === "afterAlias") {
+      expect = token === "," && listKeyword === "FROM" ? "table" : null;
+    }
+  });
+  return Array.from(tables).sort();
+}
+
+// POM column names: `p<attribute>` or `r<reference>u`/`r<reference>c`.
+const POM_COLUMN_REGEX = /^[pr][a-z0-9_]+$/;
+const COLUMN_RESERVED_WORDS = new Set([
+  "prior",
+  "range",
+  "raw",
+  "real",
+  "replace",
+  "returning",
+  "right",
+  "row",
+  "rowid",
+  "rownum",
+  "rows",
+]);
+
+/**
+ * Lower-case POM columns a statement references: the column of every `alias.column` and the
+ * bare lower-case identifiers that follow the POM naming convention. Tables, function names
+ * and reserved words are left out.
+ */
+export function extractColumns(sql, tables = extractTables(sql)) {
+  if (typeof sql !== "string") {
+    return [];
+  }
+  const tableNames = new Set(tables);
+  const tokens = Array.from(
+    sql
+      .replace(BLOCK_COMMENT_REGEX, " ")
+      .replace(LINE_COMMENT_REGEX, " ")
+      .matchAll(TABLE_TOKEN_REGEX),
+    (match) => match[0]
+  );
+  const columns = new Set();
+  tokens.forEach((token, index) => {
+    if (!/^[A-Za-z_]/.test(token) || tokens[index + 1] === "(") {
+      return;
+    }
+    const parts = token.split(".");
+    const name = parts[parts.length - 1].replace(/"/g, "");
+    const lower = name.toLowerCase();
+    const qualified = parts.length > 1;
+    if (
+      tableNames.has(name.toUpperCase()) ||
+      COLUMN_RESERVED_WORDS.has(lower) ||
+      (!qualified && name !== lower) ||
+      !POM_COLUMN_REGEX.test(lower)
+    ) {
+      return;
+    }
+    columns.add(lower);
+  });
+  return Array.from(columns).sort();
+}
+
+export function analyzeSql(sql) {
+  const normalized = normalizeSql(sql);
+  const tables = extractTables(sql);
+  return {
+    normalized,
+    fingerprint: fingerprintSql(normalized),
+    tables,
+    columns: extractColumns(sql, tables),
+  };
+}
+
+const BIND_TOKEN_REGEX = /'(?:[^']|'')*'|:([A-Za-z0-9_]+)|\?/g;
+const SQL_LITERAL_REGEX =
+  /^(?:'(?:[^']|'')*'|[-+]?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|NULL)$/i;
+
+function toSqlLiteral(value) {
+  const text = String(value ?? "").trim();
+  if (SQL_LITERAL_REGEX.test(text)) {
+    return text;
+  }
+  const unquoted = /^"(.*)"$/s.exec(text)?.[1] ?? text;
+  return `'${unquoted.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Replaces `:name` / `:1` placeholders (and positional `?`) with the logged bind values, leaving
+ * string literals untouched. Placeholders without a value are kept and reported in `unresolved`.
+ */
+export function substituteBinds(sql, binds) {
+  const byName = new Map();
+  for (const bind of binds ?? []) {
+    byName.set(String(bind.name).toLowerCase(), bind.value);
+  }
+  const unresolved = new Set();
+  let position = 0;
+  const text = String(sql ?? "").replace(BIND_TOKEN_REGEX, (token, name) => {
+    if (token.startsWith("'")) {
+      return token;
+    }
+    position += 1;
+    const key = (name ?? String(position)).toLowerCase();
+    if (!byName.has(key)) {
+      unresolved.add(token === "?" ? `?${position}` : token);
+      return token;
+    }
+    return toSqlLiteral(byName.get(key));
+  });
+  return { sql: text, unresolved: Array.from(unresolved) };
+}
@@ -1,8 +1,27 @@
-import antlr4 from "antlr4";
-import TeamcenterLogLexer from "./antlr/generated/tcServerSyslogGrammarLexer.js";
-import TeamcenterLogParser from "./antlr/generated/tcServerSyslogGrammarParser.js";
-import TeamcenterLogVisitor from "./antlr/generated/tcServerSyslogGrammarVisitor.js";
+import fs from "node:fs";
+import readline from "node:readline";
 
+import { analyzeSql } from "./sqlAnalysis.js";
+import {
+  SESSION_TOTALS_END_REGEX,
+  SESSION_TOTALS_START_REGEX,
+  parseSessionTotalLine,
+} from "./sessionTotals.js";
+import {
+  isEpmEntry,
+  parseIfail,
+  parseWorkflowEvents,
+} from "./workflowEvents.js";
+import { parseAccessStep, parseAccessVerdict } from "./accessEvaluation.js";
+import { parseSoaMarker } from "./soaMarkers.js";
+import { findLastAtOrBefore, parseSyslogTimestamp } from "../util/helpers.js";
+
+/**
+ * Single-pass syslog parser. Lines are fed one at a time into a small state machine that keeps
+ * track of the multi-line blocks (environment, DLLs, SQL dumps, journals, ...) currently open, so
+ * the whole result is produced while reading the file once, either from an in-memory string or
+ * streamed from a file handle.
+ */
 const LOG_LINE_REGEX =
   /^(INFO|DEBUG|NOTE|WARN|ERROR|FATAL)\s*-\s*([0-9]{4}\/[0-9]{2}\/[0-9]{2}-[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]+)?)\s+UTC\s*-\s*(.+?)\s*-\s*(.*)$/;
 const SYSTEM_INFO_PREFIXES = [
@@ -36,6 +55,76 @@ const INLINE_SQL_KEYWORDS = new Set([
   "ROLLBACK",
 ]);
 
+const JOURNAL_PATTERNS = [
+  {
+    type: "allFunctions",
+    start: /^START JOURNALLED_TIMES_IN_ALL_FUNCTIONS/i,
+    end: /^END JOURNALLED_TIMES_IN_ALL_FUNCTIONS/i,
+  },
+  {
+    type: "topLevel",
+    start: /^START JOURNALLED_TIMES_IN_TOP_LEVEL_FUNCTIONS/i,
+    end: /^END JOURNALLED_TIMES_IN_TOP_LEVEL_FUNCTIONS/i,
+  },
+];
+const JOURNAL_SUMMARY_WINDOW = 8;
+const JOURNAL_SUMMARY_LINES = 3;
+
+const HIERARCHY_START_REGEX = /^START JOURNAL_HIERARCHY_TRACE\b/i;
+const HIERARCHY_END_REGEX = /^END JOURNAL_HIERARCHY_TRACE\b/i;
+const HIERARCHY_ROW_REGEX =
+  /^\s*(\d+)\s+(\d+)\s+([0-9]+(?:\.[0-9]+)?)\s+(\d+)\s+(\d+)\s+(\d+)\s+(.*)$/;
+
+// Nr, Calls, Time, DB-Time, Exec-Time, Trips, Rows, SQL Query
+const SQL_ROW_REGEX =
+  /^\s*(\d+)\s+(\d+)\s+([0-9]+(?:\.[0-9]+)?)\s+([0-9]+(?:\.[0-9]+)?)\s+([0-9]+(?:\.[0-9]+)?)\s+(\d+)\s+(\d+)\s+(.*)$/;
+
+const ACCESS_CHECK_REGEX = /^AM_check_priv\s*\(([^)]+)\)\s*on\s*(\S+)/i;
+// "Error stack: 515024: message", then one "<code>: message" line per nested error.
+const ERROR_STACK_START_REGEX = /^error\s+stack\s*:\s*(.*)$/i;
+const ERROR_CODE_REGEX = /^(-?\d{3,7})\s*:\s*(.*)$/;
+// Evaluation blocks are short; this only stops a runaway block in odd output.
+const ACCESS_CHECK_MAX_LINES = 200;
+const HANDLER_ENTER_REGEX =
+  /^-->\s+ENTER\s+Function\s+"([^"]+)"\s+\{\s*\(File\s+\[(.*?)\]\)/i;
+const HANDLER_LEAVE_REGEX = /^<--\s+LEAVE\s+Function\s+"([^"]+)"/i;
+const TRUNCATED_REGEX = /^\(truncated\s+\d+\s+characters\)/;
+// TC_SQL_DEBUG writes bind values after the statement: ":1 = 'abc'", "Bind 2: 42", "bind[3] = x".
+const BIND_LINE_REGEXES = [
+  /^(?:bind(?:\s+variable)?\s*)?:([A-Za-z0-9_]+)\s*(?:=|:|->)\s*(.*)$/i,
+  /^bind(?:\s+variable)?\s*[#[]?\s*(\d+)\s*\]?\s*(?:=|:|->)\s*(.*)$/i,
+];
+const BIND_HEADER_REGEX = /^bind(?:\s+variable)?s?\s*:?$/i;
+const BIND_TYPE_SUFFIX_REGEX =
+  /\s*[[(](?:type\s*[:=]\s*)?(?:N?VARCHAR2?|N?CHAR|STRING|NUMBER|INTEGER|INT|BIGINT|LONG|FLOAT|DOUBLE|DECIMAL|NUMERIC|DATE|TIMESTAMP|BOOLEAN|BLOB|CLOB)(?:\(\d+\))?[\])]$/i;
+
+const CANCELLATION_CHECK_INTERVAL = 5000;
+const ANCHOR_SPACING = 200;
+
+/**
+ * Result arrays whose items carry a `line` and are appended in line order. Incremental re-parses
+ * truncate and extend exactly these; everything else in the result is replaced wholesale.
+ */
+export const LINE_COLLECTIONS = [
+  "systemInfo",
+  "envSections",
+  "dllSections",
+  "sqlDumps",
+  "journalSections",
+  "journalHierarchyTraces",
+  "sessionTotals",
+  "accessChecks",
+  "errorStacks",
+  "workflowHandlers",
+  "workflowEvents",
+  "soaMarkers",
+  "pomStats",
+  "endSessions",
+  "truncated",
+  "logLines",
+  "inlineSqlLines",
+];
+
 function isInlineSqlText(text) {
   if (!text) {
     return false;
@@ -63,636 +152,1231 @@ function isInlineSqlText(text) {
   return true;
 }
 
-class CollectingVisitor extends TeamcenterLogVisitor {
-  constructor(lines) {
-    super();
-    this.lines = lines;
-    this.result = {
-      header: null,
-      systemInfo: [],
-      envSections: [],
-      dllSections: [],
-      sqlDumps: [],
-      journalSections: [],
-      journalHierarchyTraces: [],
-      accessChecks: [],
-      workflowHandlers: [],
-      pomStats: [],
-      endSessions: [],
-      truncated: [],
-      logLines: [],
-      inlineSqlLines: [],
-      parseErrors: [],
-    };
-    this._sqlStack = [];
+function parseBindLine(text, line) {
+  for (const regex of BIND_LINE_REGEXES) {
+    const match = regex.exec(text);
+    if (match) {
+      const value = (match[2] ?? "").replace(BIND_TYPE_SUFFIX_REGEX, "").trim();
+      return { name: match[1], value, line };
+    }
   }
+  return null;
+}
 
-  visitLogFile(ctx) {
-    super.visitLogFile(ctx);
-    return this.result;
-  }
+function createEmptyResult() {
+  return {
+    header: null,
+    systemInfo: [],
+    envSections: [],
+    dllSections: [],
+    sqlDumps: [],
+    journalSections: [],
+    journalHierarchyTraces: [],
+    sessionTotals: [],
+    accessChecks: [],
+    errorStacks: [],
+    workflowHandlers: [],
+    workflowEvents: [],
+    soaMarkers: [],
+    pomStats: [],
+    endSessions: [],
+    truncated: [],
+    logLines: [],
+    inlineSqlLines: [],
+    parseErrors: [],
+    anchors: [],
+    tailAnchor: 0,
+    // Bumped by every delta, so a re-parse can tell whether the caller applied the last one.
+    revision: 0,
+  };
+}
 
-  visitEnvSection(ctx) {
-    const startLine = ctx.start.line - 1;
-    const entries = [];
-    let offset = 1; // skip section title line
-    while (startLine + offset < this.lines.length) {
-      const raw = this.lines[startLine + offset];
-      if (!raw || !raw.trim()) {
-        break;
-      }
-      const trimmed = raw.trim();
-      const match = trimmed.match(/^([^=]+)=(.*)$/);
-      if (!match) {
-        break;
-      }
-      entries.push({
-        line: startLine + offset,
-        key: match[1].trim(),
-        value: match[2].trim(),
-      });
-      offset += 1;
-    }
-    this.result.envSections.push({ line: startLine, entries });
+function parseLogLine(lineText, line) {
+  const match = LOG_LINE_REGEX.exec(lineText);
+  if (!match) {
     return null;
   }
 
-  visitDllSection(ctx) {
-    const startLine = ctx.start.line - 1;
-    const entries = [];
-    let offset = 2; // skip section title and separator
-    while (startLine + offset < this.lines.length) {
-      const raw = this.lines[startLine + offset];
-      if (!raw || !raw.trim()) {
-        break;
-      }
-      const parts = raw.trim().split(/\s+/);
-      if (parts.length < 6) {
-        break;
-      }
-      entries.push({
-        line: startLine + offset,
-        path: parts[0],
-        version: parts[1],
-        address: parts[2],
-        size: parts[3],
-        hash: parts[4],
-        date: parts.slice(5).join(" "),
-      });
-      offset += 1;
-    }
-    this.result.dllSections.push({ line: startLine, entries });
-    return null;
-  }
+  const levelText = match[1] ?? "";
+  const timestampText = match[2] ?? "";
+  const idRaw = match[3] ?? "";
+  const messageRaw = match[4] ?? "";
 
-  visitSqlDump(ctx) {
-    const startLine = (ctx.start?.line ?? 1) - 1;
-    const endLine = (ctx.stop?.line ?? ctx.start?.line ?? 1) - 1;
-    const section = {
-      line: startLine,
-      endLine,
-      rows: [],
-    };
-    this.result.sqlDumps.push(section);
-    this._sqlStack.push(section);
-    super.visitSqlDump(ctx);
-    this._sqlStack.pop();
-    return null;
-  }
+  const levelStart = lineText.indexOf(levelText);
+  const levelEnd =
+    levelStart >= 0 ? levelStart + levelText.length : levelText.length;
 
-  visitSqlRow(ctx) {
-    const current = this._sqlStack[this._sqlStack.length - 1];
-    if (!current) {
-      return null;
-    }
-    const line = (ctx.start?.line ?? 1) - 1;
-    const textLine = this.lines?.[line] ?? ctx.getText();
-    current.rows.push({
-      line,
-      text: textLine,
-    });
+  const timestampStart = timestampText
+    ? lineText.indexOf(timestampText, levelEnd ?? 0)
+    : -1;
+  const timestampEnd =
+    timestampStart >= 0 ? timestampStart + timestampText.length : null;
+
+  const idValue = idRaw.trim();
+  const idRawIndex = idValue ? lineText.indexOf(idRaw, timestampEnd ?? 0) : -1;
+  const idLeadingSpaces = idRaw.length - idRaw.trimStart().length;
+  const idStart = idRawIndex >= 0 ? idRawIndex + idLeadingSpaces : -1;
+  const idEnd = idStart >= 0 ? idStart + idValue.length : null;
+
+  const messageValue = messageRaw.trim();
+  const messageRawIndex = messageValue
+    ? lineText.indexOf(
+        messageRaw,
+        idRawIndex >= 0 ? idRawIndex + idRaw.length : timestampEnd ?? 0
+      )
+    : -1;
+  const messageLeadingSpaces =
+    messageRaw.length - messageRaw.trimStart().length;
+  const messageStart =
+    messageRawIndex >= 0 ? messageRawIndex + messageLeadingSpaces : -1;
+  const messageEnd =
+    messageStart >= 0 ? messageStart + messageValue.length : null;
+
+  return {
+    line,
+    level: levelText,
+    timestamp: timestampText,
+    // Epoch milliseconds; `gap` is filled in against the previous timed entry once collected.
+    time: parseSyslogTimestamp(timestampText),
+    gap: null,
+    id: idValue,
+    message: messageValue,
+    levelStart: levelStart >= 0 ? levelStart : 0,
+    levelEnd: levelEnd,
+    timestampStart: timestampStart >= 0 ? timestampStart : null,
+    timestampEnd,
+    idStart: idStart >= 0 ? idStart : null,
+    idEnd,
+    messageStart: messageStart >= 0 ? messageStart : null,
+    messageEnd,
+    isInlineSql: isInlineSqlText(messageValue),
+    // Span of the entry: continuation lines (stack traces, payloads) up to the next header.
+    endLine: line,
+    continuation: 0,
+  };
+}
+
+function parseSqlRow(raw, line) {
+  const match = SQL_ROW_REGEX.exec(raw);
+  if (!match) {
     return null;
   }
+  const sql = match[8].trim();
+  return {
+    line,
+    endLine: line,
+    text: raw,
+    nr: Number(match[1]),
+    calls: Number(match[2]),
+    time: Number(match[3]),
+    dbTime: Number(match[4]),
+    execTime: Number(match[5]),
+    trips: Number(match[6]),
+    rows: Number(match[7]),
+    sql,
+    ...analyzeSql(sql),
+  };
+}
 
-  visitJournalSection(ctx) {
-    this.result.journalSections.push({ line: ctx.start.line - 1 });
+function parseJournalRow(raw, line) {
+  const trimmed = raw.trim();
+  if (!trimmed.startsWith("@*")) {
     return null;
   }
-
-  visitPomStats(ctx) {
-    this.result.pomStats.push({ line: ctx.start.line - 1 });
+  const body = trimmed.replace(/^@\*\s*/, "");
+  const segments = body
+    .split(/\s{2,}/)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  if (!segments.length) {
     return null;
   }
-
-  visitEndSession(ctx) {
-    this.result.endSessions.push({ line: ctx.start.line - 1 });
+  const percent = segments[0] ?? null;
+  const numericPercent = Number(percent);
+  if (Number.isNaN(numericPercent)) {
     return null;
   }
-
-  visitTruncated(ctx) {
-    this.result.truncated.push({ line: ctx.start.line - 1 });
+  const functionName = (
+    segments.length > 6
+      ? segments.slice(6).join(" ")
+      : segments[segments.length - 1]
+  )?.trim();
+  if (!functionName) {
     return null;
   }
+  return {
+    line,
+    text: raw,
+    percent,
+    totalElapsed: segments[1] ?? null,
+    totalCpu: segments[2] ?? null,
+    dbTrips: segments[3] ?? null,
+    callCount: segments[4] ?? null,
+    average: segments[5] ?? null,
+    functionName,
+  };
 }
 
-function collectHeader(lines) {
-  if (!lines.length) {
-    return null;
-  }
-  const headerLines = [];
-  if (lines[0]?.startsWith("***")) {
-    headerLines.push({ line: 0, text: lines[0] });
-  }
-  if (lines[1]?.startsWith("*** system log created by")) {
-    headerLines.push({ line: 1, text: lines[1] });
-  }
-  if (!headerLines.length) {
+function parseHierarchyRow(raw, line) {
+  const match = HIERARCHY_ROW_REGEX.exec(raw);
+  if (!match) {
     return null;
   }
   return {
-    line: headerLines[0].line,
-    lines: headerLines,
+    line,
+    totalPercent: Number(match[1]),
+    parentPercent: Number(match[2]),
+    time: Number(match[3]),
+    dbTrips: Number(match[4]),
+    callCount: Number(match[5]),
+    calls: Number(match[5]),
+    depth: Number(match[6]),
+    routine: match[7].trim(),
+    raw,
+    text: raw.trim(),
   };
 }
 
-function collectSystemInfo(lines) {
-  const entries = [];
-  for (let i = 0; i < lines.length; i += 1) {
-    const raw = lines[i];
-    if (!raw) {
-      continue;
-    }
-    const prefix = SYSTEM_INFO_PREFIXES.find((label) => raw.startsWith(label));
-    if (!prefix) {
-      continue;
-    }
-    const value = raw.slice(prefix.length).replace(/^[\s:-]+/, "");
-    entries.push({ line: i, key: prefix, value: value.trim() });
+/**
+ * Thrown when the caller asks to stop a parse (e.g. the user switched to another syslog while
+ * the worker was still busy with the previous one).
+ */
+export class ParseCancelledError extends Error {
+  constructor() {
+    super("Syslog parsing was cancelled");
+    this.name = "ParseCancelledError";
   }
-  return entries;
 }
 
-function collectSqlSections(lines) {
-  const sections = [];
-  let index = 0;
-  while (index < lines.length) {
-    const originalLine = lines[index] ?? "";
-    const trimmed = originalLine.trim();
-    if (!trimmed.startsWith("START SQL_PROFILE_DUMP")) {
-      index += 1;
-      continue;
+/**
+ * Incremental state machine behind every parse. Call `pushLine` for each line in order and
+ * `finish` once the input is exhausted; the returned object has the same shape the tree model
+ * and decorations have always consumed.
+ */
+export class SyslogStreamParser {
+  constructor(options = {}) {
+    // Raw lines are only kept on request; callers that need text read it from the document.
+    this.keepLines = options.keepLines === true;
+    this.result = createEmptyResult();
+    if (this.keepLines) {
+      this.result.lines = [];
     }
+    this.lineIndex = 0;
+    this.headerLines = [];
+    this.envSection = null;
+    this.dllSection = null;
+    this.sqlDump = null;
+    this.sqlRow = null;
+    this.hierarchyTrace = null;
+    this.openJournals = [];
+    // Plain JOURNALLED_TIMES block and how many tables inside it are open.
+    this.sessionTotals = null;
+    this.sessionTotalsDepth = 0;
+    this.pendingHandlers = [];
+    // AM_check_priv whose evaluation lines may follow.
+    this.accessCheck = null;
+    this.errorStack = null;
+    this.openEntry = null;
+    // Latest log entry with a readable timestamp; `gap` is measured from it.
+    this.lastTimedEntry = null;
+    // Inline SQL statement whose bind-value lines may follow.
+    this.bindTarget = null;
+    // Lines read since `tailAnchor`, so `resumeFrom` can replay the tail without `keepLines`.
+    this.tailLines = [];
+    // Set by parseTeamcenterLogFile: how far into the file complete lines have been parsed.
+    this.fileState = null;
+  }
 
-    const section = {
-      line: index,
-      endLine: index,
-      rows: [],
-    };
+  /**
+   * A line is a safe restart point when no multi-line block or handler is still open before
+   * it: parsing from there with fresh state yields exactly what a full parse would.
+   */
+  isAtCleanPoint() {
+    return (
+      !this.envSection &&
+      !this.dllSection &&
+      !this.sqlDump &&
+      !this.hierarchyTrace &&
+      !this.openJournals.length &&
+      !this.sessionTotals &&
+      !this.pendingHandlers.length &&
+      !this.accessCheck &&
+      !this.errorStack &&
+      !this.bindTarget
+    );
+  }
 
-    let cursor = index + 1;
-    let closed = false;
-    while (cursor < lines.length) {
-      const current = lines[cursor] ?? "";
-      const currentTrimmed = current.trim();
-      if (currentTrimmed.startsWith("END SQL_PROFILE_DUMP")) {
-        section.endLine = cursor;
-        cursor += 1;
-        closed = true;
-        break;
-      }
-      if (
-        currentTrimmed &&
-        !currentTrimmed.startsWith("Nr Calls") &&
-        !/^[_-]+$/.test(currentTrimmed)
-      ) {
-        section.rows.push({
-          line: cursor,
-          text: current,
-        });
-      }
-      cursor += 1;
+  recordAnchor(line) {
+    const { anchors } = this.result;
+    this.result.tailAnchor = line;
+    this.tailLines = [];
+    const lastAnchor = anchors[anchors.length - 1] ?? -Infinity;
+    if (line - lastAnchor >= ANCHOR_SPACING) {
+      anchors.push(line);
     }
+  }
 
-    if (!closed) {
-      section.endLine = Math.max(section.line, cursor - 1);
+  findAnchor(line) {
+    return findParsedAnchor(this.result, line);
+  }
+
+  /**
+   * Rewinds the parser to the last safe anchor at or before `line`, dropping everything parsed
+   * from that anchor on. Returns the anchor line; feeding lines from there continues the parse.
+   */
+  resumeAt(line) {
+    const anchor = Math.min(this.findAnchor(Math.max(0, line)), this.lineIndex);
+    for (const key of LINE_COLLECTIONS) {
+      const items = this.result[key];
+      while (items.length && items[items.length - 1].line >= anchor) {
+        items.pop();
+      }
+    }
+    if (this.keepLines && this.result.lines.length > anchor) {
+      this.result.lines.length = anchor;
+    }
+    this.headerLines = this.headerLines.filter((entry) => entry.line < anchor);
+    const { anchors } = this.result;
+    while (anchors.length && anchors[anchors.length - 1] >= anchor) {
+      anchors.pop();
     }
-    sections.push(section);
-    index = cursor;
+    this.result.tailAnchor = anchors[anchors.length - 1] ?? 0;
+    this.tailLines = [];
+    this.envSection = null;
+    this.dllSection = null;
+    this.sqlDump = null;
+    this.sqlRow = null;
+    this.hierarchyTrace = null;
+    this.openJournals = [];
+    this.sessionTotals = null;
+    this.sessionTotalsDepth = 0;
+    this.pendingHandlers = [];
+    this.accessCheck = null;
+    this.errorStack = null;
+    this.openEntry = null;
+    this.lastTimedEntry =
+      this.result.logLines.findLast((entry) => entry.time !== null) ?? null;
+    this.bindTarget = null;
+    this.lineIndex = anchor;
+    return anchor;
   }
-  return sections;
-}
 
-function collectJournalSections(lines) {
-  const sections = [];
-  const patterns = [
-    {
-      type: "allFunctions",
-      start: /^START JOURNALLED_TIMES_IN_ALL_FUNCTIONS/i,
-      end: /^END JOURNALLED_TIMES_IN_ALL_FUNCTIONS/i,
-    },
-    {
-      type: "topLevel",
-      start: /^START JOURNALLED_TIMES_IN_TOP_LEVEL_FUNCTIONS/i,
-      end: /^END JOURNALLED_TIMES_IN_TOP_LEVEL_FUNCTIONS/i,
-    },
-    // {
-    //   type: "summary",
-    //   start: /^START JOURNALLED_TIMES(?:\s|$)/i,
-    //   end: /^END JOURNALLED_TIMES(?:\s|$)/i,
-    // },
-  ];
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const rawLine = lines[i] ?? "";
-    const trimmed = rawLine.trim();
-    if (!trimmed.startsWith("START JOURNALLED_TIMES")) {
-      continue;
+  /**
+   * Rewinds to the anchor at or before `line` and replays the lines read since up to `line`, so
+   * the caller only has to feed the text from `line` on. Returns the anchor line, or null when
+   * those lines were not kept (only the tail is, unless the parser keeps every line).
+   */
+  resumeFrom(line) {
+    const anchor = Math.min(this.findAnchor(line), this.lineIndex);
+    let carried = null;
+    if (this.keepLines) {
+      carried = this.result.lines.slice(anchor, line);
+    } else if (anchor === this.result.tailAnchor) {
+      carried = this.tailLines.slice(0, line - anchor);
     }
-    const pattern = patterns.find((item) => item.start.test(trimmed));
-    if (!pattern) {
-      continue;
+    if (!carried) {
+      return null;
     }
-    let cursor = i + 1;
-    let endLine = i;
-    while (cursor < lines.length) {
-      const candidate = (lines[cursor] ?? "").trim();
-      if (pattern.end.test(candidate)) {
-        endLine = cursor;
-        break;
-      }
-      cursor += 1;
-    }
-    if (cursor === lines.length) {
-      endLine = Math.max(i, lines.length - 1);
-    }
-    const rows =
-      pattern.type === "summary"
-        ? []
-        : collectJournalRows(lines, i + 1, endLine - 1);
-    const summaryLines = [];
-    for (let j = i + 1; j <= Math.min(endLine, i + 8); j += 1) {
-      const candidate = (lines[j] ?? "").trim();
-      if (!candidate) {
-        continue;
-      }
-      if (candidate.startsWith("@*") || candidate.startsWith("START ")) {
-        continue;
-      }
-      summaryLines.push(candidate);
-      if (summaryLines.length >= 3) {
-        break;
+    this.resumeAt(anchor);
+    for (const text of carried) {
+      this.pushLine(text);
+    }
+    return anchor;
+  }
+
+  /**
+   * Describes what changed since `resumeAt(anchor)`: for each line collection, how many items
+   * the previous result keeps and which items follow them. Starts a new `revision`.
+   */
+  createDelta(anchor) {
+    this.result.revision += 1;
+    const collections = {};
+    for (const key of LINE_COLLECTIONS) {
+      const items = this.result[key];
+      let keep = items.length;
+      while (keep > 0 && items[keep - 1].line >= anchor) {
+        keep -= 1;
       }
+      collections[key] = { keep, items: items.slice(keep) };
     }
-    sections.push({
-      type: pattern.type,
-      line: i,
-      endLine,
-      rows,
-      summary: summaryLines.join(" ").trim(),
-    });
+    const { anchors } = this.result;
+    let keepAnchors = anchors.length;
+    while (keepAnchors > 0 && anchors[keepAnchors - 1] >= anchor) {
+      keepAnchors -= 1;
+    }
+    return {
+      anchorLine: anchor,
+      revision: this.result.revision,
+      header: this.result.header,
+      collections,
+      anchors: { keep: keepAnchors, items: anchors.slice(keepAnchors) },
+      tailAnchor: this.result.tailAnchor,
+      lines: this.keepLines
+        ? { keep: anchor, items: this.result.lines.slice(anchor) }
+        : null,
+    };
   }
-  return sections;
-}
 
-function collectJournalRows(lines, start, end) {
-  const rows = [];
-  for (let i = start; i <= end; i += 1) {
-    const raw = lines[i] ?? "";
+  pushLine(text) {
+    const raw = text ?? "";
+    const line = this.lineIndex;
+    this.lineIndex += 1;
+    const entry = parseLogLine(raw, line);
+    // An open log entry may still grow, so only its successor's header is a safe restart point.
+    if (this.isAtCleanPoint() && (!this.openEntry || entry)) {
+      this.recordAnchor(line);
+    }
+    if (this.keepLines) {
+      this.result.lines.push(raw);
+    }
+    this.tailLines.push(raw);
     const trimmed = raw.trim();
-    if (!trimmed.startsWith("@*")) {
-      continue;
+
+    this.collectHeader(raw, line);
+    this.collectSystemInfo(raw, line);
+    this.collectLogAndInlineSql(raw, trimmed, line, entry);
+    this.collectAccessCheck(raw, trimmed, line, entry);
+    this.collectErrorStack(trimmed, line, entry);
+    this.collectWorkflowHandler(raw, line);
+    this.collectWorkflowEvents(raw, line, entry);
+    this.collectSoaMarker(raw, line, entry);
+    this.collectMarkers(trimmed, line);
+
+    this.continueEnvSection(raw, trimmed, line);
+    this.continueDllSection(raw, trimmed, line);
+    this.continueSqlDump(raw, trimmed, line);
+    this.continueJournals(raw, trimmed, line);
+    this.continueSessionTotals(raw, trimmed, line);
+    this.continueHierarchyTrace(raw, trimmed, line);
+    this.extendLogEntry(trimmed, line, entry);
+  }
+
+  finish() {
+    const lastLine = Math.max(0, this.lineIndex - 1);
+    if (this.sqlDump) {
+      this.sqlDump.endLine = Math.max(this.sqlDump.line, lastLine);
+      this.sqlDump = null;
+      this.sqlRow = null;
     }
-    const body = trimmed.replace(/^@\*\s*/, "");
-    const segments = body
-      .split(/\s{2,}/)
-      .map((segment) => segment.trim())
-      .filter(Boolean);
-    if (!segments.length) {
-      continue;
+    for (const journal of this.openJournals) {
+      journal.section.endLine = Math.max(journal.section.line, lastLine);
+      this.finalizeJournal(journal);
     }
-    const percent = segments[0] ?? null;
-    const totalElapsed = segments[1] ?? null;
-    const totalCpu = segments[2] ?? null;
-    const dbTrips = segments[3] ?? null;
-    const callCount = segments[4] ?? null;
-    const average = segments[5] ?? null;
-    const numericPercent = Number(percent);
-    if (Number.isNaN(numericPercent)) {
-      continue;
+    this.openJournals = [];
+    if (this.sessionTotals) {
+      this.sessionTotals.endLine = lastLine;
+      this.sessionTotals = null;
+      this.sessionTotalsDepth = 0;
     }
-    const functionName = (
-      segments.length > 6
-        ? segments.slice(6).join(" ")
-        : segments[segments.length - 1]
-    )?.trim();
-    if (!functionName) {
-      continue;
+    if (this.hierarchyTrace) {
+      this.hierarchyTrace.endLine = lastLine;
+      this.hierarchyTrace = null;
     }
-    rows.push({
-      line: i,
-      text: raw,
-      percent,
-      totalElapsed,
-      totalCpu,
-      dbTrips,
-      callCount,
-      average,
-      functionName,
-    });
+    this.envSection = null;
+    this.dllSection = null;
+    // Handlers still open at the end of the log run to its last line.
+    for (const entry of this.pendingHandlers) {
+      entry.endLine = lastLine;
+    }
+    this.pendingHandlers = [];
+    this.accessCheck = null;
+    this.errorStack = null;
+    this.bindTarget = null;
+    this.result.header = this.headerLines.length
+      ? { line: this.headerLines[0].line, lines: this.headerLines }
+      : null;
+    return this.result;
   }
-  return rows;
-}
-
-function collectJournalHierarchyTraces(lines) {
-  const sections = [];
-  const startPattern = /^START JOURNAL_HIERARCHY_TRACE\b/i;
-  const endPattern = /^END JOURNAL_HIERARCHY_TRACE\b/i;
-  const rowRegex =
-    /^\s*(\d+)\s+(\d+)\s+([0-9]+(?:\.[0-9]+)?)\s+(\d+)\s+(\d+)\s+(\d+)\s+(.*)$/;
 
-  for (let index = 0; index < lines.length; index += 1) {
-    const raw = lines[index] ?? "";
-    const trimmed = raw.trim();
-    if (!startPattern.test(trimmed)) {
-      continue;
+  collectHeader(raw, line) {
+    if (line === 0 && raw.startsWith("***")) {
+      this.headerLines.push({ line, text: raw });
+    } else if (line === 1 && raw.startsWith("*** system log created by")) {
+      this.headerLines.push({ line, text: raw });
     }
+  }
 
-    const version =
-      trimmed.replace(/^START JOURNAL_HIERARCHY_TRACE\s*/i, "").trim() || null;
-    let cursor = index + 1;
-    let endLine = index;
-    let header = null;
-    const rows = [];
+  collectSystemInfo(raw, line) {
+    if (!raw) {
+      return;
+    }
+    const prefix = SYSTEM_INFO_PREFIXES.find((label) => raw.startsWith(label));
+    if (!prefix) {
+      return;
+    }
+    const value = raw.slice(prefix.length).replace(/^[\s:-]+/, "");
+    this.result.systemInfo.push({ line, key: prefix, value: value.trim() });
+  }
 
-    while (cursor < lines.length) {
-      const current = lines[cursor] ?? "";
-      const currentTrimmed = current.trim();
-      if (endPattern.test(currentTrimmed)) {
-        endLine = cursor;
-        break;
-      }
-      if (!header && currentTrimmed.startsWith("%Total")) {
-        header = currentTrimmed;
-      } else {
-        const match = rowRegex.exec(current);
-        if (match) {
-          rows.push({
-            line: cursor,
-            totalPercent: Number(match[1]),
-            parentPercent: Number(match[2]),
-            time: Number(match[3]),
-            dbTrips: Number(match[4]),
-            callCount: Number(match[5]),
-            calls: Number(match[5]),
-            depth: Number(match[6]),
-            routine: match[7].trim(),
-            raw: current,
-            text: currentTrimmed,
-          });
+  collectLogAndInlineSql(raw, trimmed, line, entry) {
+    if (entry) {
+      if (entry.time !== null) {
+        if (this.lastTimedEntry) {
+          entry.gap = entry.time - this.lastTimedEntry.time;
         }
+        this.lastTimedEntry = entry;
       }
-      cursor += 1;
+      this.result.logLines.push(entry);
+    }
+    if (
+      this.bindTarget &&
+      this.collectBind(entry ? entry.message : trimmed, line)
+    ) {
+      return;
+    }
+    if (entry?.isInlineSql) {
+      const text = entry.message ?? raw;
+      this.bindTarget = {
+        line,
+        text,
+        fromLog: true,
+        ...analyzeSql(text),
+      };
+      this.result.inlineSqlLines.push(this.bindTarget);
+      return;
+    }
+    if (
+      !trimmed ||
+      trimmed.startsWith("START SQL_PROFILE_DUMP") ||
+      trimmed.startsWith("END SQL_PROFILE_DUMP")
+    ) {
+      return;
     }
+    if (isInlineSqlText(trimmed)) {
+      this.bindTarget = {
+        line,
+        text: raw,
+        fromLog: false,
+        ...analyzeSql(raw),
+      };
+      this.result.inlineSqlLines.push(this.bindTarget);
+    }
+  }
 
-    if (cursor >= lines.length) {
-      endLine = lines.length - 1;
+  /**
+   * Attaches a bind-value line to the statement logged just before it. Blank lines and a
+   * "Bind variables:" caption keep waiting; any other line ends the bind list.
+   */
+  collectBind(text, line) {
+    const trimmed = (text ?? "").trim();
+    if (!trimmed || BIND_HEADER_REGEX.test(trimmed)) {
+      return true;
+    }
+    const bind = parseBindLine(trimmed, line);
+    if (!bind) {
+      this.bindTarget = null;
+      return false;
     }
+    if (!this.bindTarget.binds) {
+      this.bindTarget.binds = [];
+    }
+    this.bindTarget.binds.push(bind);
+    this.bindTarget.bindEndLine = line;
+    return true;
+  }
 
-    sections.push({
-      line: index,
-      endLine,
-      version,
-      header,
-      rows,
-    });
-    index = Math.max(index, endLine);
+  /**
+   * Attaches non-header lines to the open log entry. Structured blocks get their own nodes, so
+   * the entry ends where one starts; trailing blank lines are not part of the span.
+   */
+  extendLogEntry(trimmed, line, entry) {
+    if (entry) {
+      this.openEntry = entry;
+      return;
+    }
+    if (!this.openEntry) {
+      return;
+    }
+    if (
+      this.envSection ||
+      this.dllSection ||
+      this.sqlDump ||
+      this.hierarchyTrace ||
+      this.openJournals.length ||
+      this.sessionTotals
+    ) {
+      this.openEntry = null;
+      return;
+    }
+    if (trimmed) {
+      this.openEntry.endLine = line;
+      this.openEntry.continuation = line - this.openEntry.line;
+    }
   }
 
-  return sections;
-}
+  /**
+   * Starts a check at `AM_check_priv` and reads the evaluation lines after it until the verdict,
+   * a blank line or a line that is not Access Manager output.
+   */
+  collectAccessCheck(raw, trimmed, line, entry) {
+    const match = ACCESS_CHECK_REGEX.exec(raw);
+    if (match) {
+      const verdict = parseAccessVerdict(raw.slice(match[0].length));
+      const check = {
+        line,
+        endLine: line,
+        raw,
+        mode: match[1]?.trim() ?? "",
+        target: match[2]?.trim() ?? "",
+        objectName: null,
+        steps: [],
+        verdict,
+      };
+      this.result.accessChecks.push(check);
+      this.accessCheck = verdict ? null : check;
+      return;
+    }
+    const check = this.accessCheck;
+    if (!check) {
+      return;
+    }
+    const step =
+      line - check.line <= ACCESS_CHECK_MAX_LINES
+        ? parseAccessStep(entry ? entry.message : trimmed)
+        : null;
+    if (!step) {
+      this.accessCheck = null;
+      return;
+    }
+    check.endLine = line;
+    check.steps.push({ ...step, line });
+    check.objectName = check.objectName ?? step.objectName;
+    if (step.verdict) {
+      check.verdict = step.verdict;
+      this.accessCheck = null;
+    }
+  }
+
+  /**
+   * Collects the ifail codes of an error stack and links the stack to the log entry it belongs
+   * to: the entry on the same line or the one it continues.
+   */
+  collectErrorStack(trimmed, line, entry) {
+    const text = entry ? entry.message : trimmed;
+    const start = ERROR_STACK_START_REGEX.exec(text);
+    if (start) {
+      const owner = entry ?? this.openEntry;
+      this.errorStack = {
+        line,
+        endLine: line,
+        entryLine: owner?.line ?? null,
+        level: owner?.level ?? null,
+        message: owner?.message ?? "",
+        codes: [],
+      };
+      this.result.errorStacks.push(this.errorStack);
+      this.addErrorCode(start[1].trim(), line);
+      return;
+    }
+    if (this.errorStack && !entry && this.addErrorCode(trimmed, line)) {
+      return;
+    }
+    this.errorStack = null;
+  }
 
-function collectAccessChecks(lines) {
-  const entries = [];
-  const regex = /^AM_check_priv\s*\(([^)]+)\)\s*on\s*(\S+)/i;
-  for (let line = 0; line < lines.length; line += 1) {
-    const raw = lines[line] ?? "";
-    const match = regex.exec(raw);
+  addErrorCode(text, line) {
+    const match = ERROR_CODE_REGEX.exec(text);
     if (!match) {
-      continue;
+      return false;
     }
-    const mode = match[1]?.trim() ?? "";
-    const target = match[2]?.trim() ?? "";
-    entries.push({
+    this.errorStack.codes.push({
+      code: Number(match[1]),
+      message: match[2].trim(),
       line,
-      raw,
-      mode,
-      target,
     });
+    this.errorStack.endLine = line;
+    return true;
   }
-  return entries;
-}
 
-function collectWorkflowHandlers(lines) {
-  const entries = [];
-  const enterPattern =
-    /^-->\s+ENTER\s+Function\s+"([^"]+)"\s+\{\s*\(File\s+\[(.*?)\]\)/i;
-  const leavePattern = /^<--\s+LEAVE\s+Function\s+"([^"]+)"/i;
+  collectWorkflowHandler(raw, line) {
+    const enterMatch = HANDLER_ENTER_REGEX.exec(raw);
+    if (enterMatch) {
+      const parent = this.pendingHandlers[this.pendingHandlers.length - 1];
+      const entry = {
+        line,
+        endLine: line,
+        functionName: enterMatch[1]?.trim() ?? "",
+        filePath: enterMatch[2]?.trim() ?? "",
+        raw,
+        parent: parent ? parent.index : null,
+        depth: this.pendingHandlers.length,
+        index: this.result.workflowHandlers.length,
+        closed: false,
+      };
+      this.result.workflowHandlers.push(entry);
+      this.pendingHandlers.push(entry);
+      return;
+    }
+    const leaveMatch = this.pendingHandlers.length
+      ? HANDLER_LEAVE_REGEX.exec(raw)
+      : null;
+    if (!leaveMatch) {
+      return;
+    }
+    // A LEAVE closes the innermost handler of the same name; handlers entered after it that
+    // never left end with it. A LEAVE without a matching ENTER is ignored.
+    const name = leaveMatch[1]?.trim() ?? "";
+    let index = this.pendingHandlers.length - 1;
+    while (index >= 0 && this.pendingHandlers[index].functionName !== name) {
+      index -= 1;
+    }
+    if (index < 0) {
+      return;
+    }
+    const entry = this.pendingHandlers[index];
+    entry.endLine = line;
+    entry.closed = true;
+    entry.ifail = parseIfail(raw);
+    for (const unclosed of this.pendingHandlers.slice(index + 1)) {
+      unclosed.endLine = line;
+    }
+    this.pendingHandlers.length = index;
+  }
 
-  for (let index = 0; index < lines.length; index += 1) {
-    const raw = lines[index] ?? "";
-    const enterMatch = enterPattern.exec(raw);
-    if (!enterMatch) {
-      continue;
+  /**
+   * Job, task, state, argument, decision and ifail facts from workflow debug output, tagged with
+   * the innermost open handler. Only lines inside a traced handler or written by the EPM logger
+   * are read; structured blocks and SQL are not scanned.
+   */
+  collectWorkflowEvents(raw, line, entry) {
+    if (
+      (!this.pendingHandlers.length && !isEpmEntry(entry)) ||
+      entry?.isInlineSql ||
+      this.envSection ||
+      this.dllSection ||
+      this.sqlDump ||
+      this.hierarchyTrace ||
+      this.openJournals.length ||
+      HANDLER_ENTER_REGEX.test(raw) ||
+      HANDLER_LEAVE_REGEX.test(raw)
+    ) {
+      return;
+    }
+    const events = parseWorkflowEvents(entry ? entry.message : raw);
+    if (!events.length) {
+      return;
     }
+    const handler = this.pendingHandlers[this.pendingHandlers.length - 1];
+    for (const event of events) {
+      this.result.workflowEvents.push({
+        ...event,
+        line,
+        handler: handler ? handler.index : null,
+      });
+    }
+  }
 
-    const functionName = enterMatch[1]?.trim() ?? "";
-    const filePath = enterMatch[2]?.trim() ?? "";
+  /**
+   * Start and end lines of SOA requests. Markers are kept one per line; the calls are paired up
+   * when the tree is built.
+   */
+  collectSoaMarker(raw, line, entry) {
+    if (
+      entry?.isInlineSql ||
+      this.envSection ||
+      this.dllSection ||
+      this.sqlDump ||
+      this.hierarchyTrace ||
+      this.openJournals.length
+    ) {
+      return;
+    }
+    const marker = parseSoaMarker(entry ? entry.message : raw);
+    if (marker) {
+      this.result.soaMarkers.push({
+        ...marker,
+        line,
+        timestamp: entry?.timestamp ?? null,
+      });
+    }
+  }
 
-    let leaveLine = index;
-    for (let cursor = index + 1; cursor < lines.length; cursor += 1) {
-      const leaveRaw = lines[cursor] ?? "";
-      if (leavePattern.test(leaveRaw)) {
-        leaveLine = cursor;
-        break;
+  collectMarkers(trimmed, line) {
+    // Session markers are not part of the log entry that precedes them.
+    if (trimmed.startsWith("POM enquiries statistics:")) {
+      this.result.pomStats.push({ line, text: trimmed });
+      this.openEntry = null;
+    } else if (trimmed.startsWith("@@@ End of session")) {
+      this.result.endSessions.push({ line, text: trimmed });
+      this.openEntry = null;
+    } else if (TRUNCATED_REGEX.test(trimmed)) {
+      this.result.truncated.push({ line });
+    }
+  }
+
+  continueEnvSection(raw, trimmed, line) {
+    if (this.envSection) {
+      const match = trimmed ? trimmed.match(/^([^=]+)=(.*)$/) : null;
+      if (match) {
+        this.envSection.entries.push({
+          line,
+          key: match[1].trim(),
+          value: match[2].trim(),
+        });
+        return;
       }
+      this.envSection = null;
     }
+    if (trimmed.startsWith("TC environment variables:")) {
+      this.envSection = { line, entries: [] };
+      this.result.envSections.push(this.envSection);
+    }
+  }
 
-    entries.push({
-      line: index,
-      endLine: leaveLine,
-      functionName,
-      filePath,
-      raw,
-    });
+  continueDllSection(raw, trimmed, line) {
+    if (this.dllSection) {
+      if (line === this.dllSection.line + 1) {
+        return; // "=====" separator
+      }
+      const parts = trimmed ? trimmed.split(/\s+/) : [];
+      if (parts.length >= 6) {
+        this.dllSection.entries.push({
+          line,
+          path: parts[0],
+          version: parts[1],
+          address: parts[2],
+          size: parts[3],
+          hash: parts[4],
+          date: parts.slice(5).join(" "),
+        });
+        return;
+      }
+      this.dllSection = null;
+    }
+    if (trimmed.startsWith("Versions of DLLs are:")) {
+      this.dllSection = { line, entries: [] };
+      this.result.dllSections.push(this.dllSection);
+    }
   }
 
-  return entries;
-}
+  continueSqlDump(raw, trimmed, line) {
+    if (this.sqlDump) {
+      if (trimmed.startsWith("END SQL_PROFILE_DUMP")) {
+        this.sqlDump.endLine = line;
+        this.sqlDump = null;
+        this.sqlRow = null;
+        return;
+      }
+      if (
+        !trimmed ||
+        trimmed.startsWith("Nr Calls") ||
+        /^[_-]+$/.test(trimmed)
+      ) {
+        return;
+      }
+      const row = parseSqlRow(raw, line);
+      if (row) {
+        this.sqlDump.rows.push(row);
+        this.sqlRow = row;
+      } else if (this.sqlRow) {
+        // Long statements wrap onto indented continuation lines.
+        this.sqlRow.sql = `${this.sqlRow.sql} ${trimmed}`;
+        this.sqlRow.endLine = line;
+        Object.assign(this.sqlRow, analyzeSql(this.sqlRow.sql));
+      } else {
+        this.sqlDump.rows.push({ line, endLine: line, text: raw });
+      }
+      return;
+    }
+    if (trimmed.startsWith("START SQL_PROFILE_DUMP")) {
+      this.sqlDump = { line, endLine: line, rows: [] };
+      this.result.sqlDumps.push(this.sqlDump);
+    }
+  }
 
-function collectInlineSqlLines(lines) {
-  const matches = [];
-  for (let i = 0; i < lines.length; i += 1) {
-    const original = lines[i] ?? "";
-    const trimmed = original.trim();
-    if (!trimmed) {
-      continue;
+  continueJournals(raw, trimmed, line) {
+    if (this.openJournals.length) {
+      const stillOpen = [];
+      for (const journal of this.openJournals) {
+        const { section, pattern } = journal;
+        this.collectJournalSummary(journal, trimmed, line);
+        if (pattern.end.test(trimmed)) {
+          section.endLine = line;
+          this.finalizeJournal(journal);
+          continue;
+        }
+        const row = parseJournalRow(raw, line);
+        if (row) {
+          section.rows.push(row);
+        }
+        stillOpen.push(journal);
+      }
+      this.openJournals = stillOpen;
+    }
+    if (!trimmed.startsWith("START JOURNALLED_TIMES")) {
+      return;
     }
+    const pattern = JOURNAL_PATTERNS.find((item) => item.start.test(trimmed));
+    if (!pattern) {
+      return;
+    }
+    const section = {
+      type: pattern.type,
+      line,
+      endLine: line,
+      rows: [],
+      summary: "",
+    };
+    this.result.journalSections.push(section);
+    this.openJournals.push({ section, pattern, summaryLines: [] });
+  }
+
+  collectJournalSummary(journal, trimmed, line) {
+    const { section, summaryLines } = journal;
     if (
-      trimmed.startsWith("START SQL_PROFILE_DUMP") ||
-      trimmed.startsWith("END SQL_PROFILE_DUMP")
+      !trimmed ||
+      summaryLines.length >= JOURNAL_SUMMARY_LINES ||
+      line > section.line + JOURNAL_SUMMARY_WINDOW
     ) {
-      continue;
+      return;
     }
-    if (isInlineSqlText(trimmed)) {
-      matches.push({ line: i, text: original });
+    if (trimmed.startsWith("@*") || trimmed.startsWith("START ")) {
+      return;
+    }
+    summaryLines.push(trimmed);
+  }
+
+  finalizeJournal(journal) {
+    journal.section.summary = journal.summaryLines.join(" ").trim();
+  }
+
+  /**
+   * Session totals sit around the nested per-function tables, which `continueJournals` reads;
+   * only the lines outside those tables are parsed as totals.
+   */
+  continueSessionTotals(raw, trimmed, line) {
+    const block = this.sessionTotals;
+    if (!block) {
+      if (SESSION_TOTALS_START_REGEX.test(trimmed)) {
+        this.sessionTotals = { line, endLine: line, metrics: [] };
+        this.sessionTotalsDepth = 0;
+        this.result.sessionTotals.push(this.sessionTotals);
+      }
+      return;
+    }
+    block.endLine = line;
+    if (SESSION_TOTALS_END_REGEX.test(trimmed)) {
+      this.sessionTotals = null;
+      this.sessionTotalsDepth = 0;
+    } else if (/^START\s/i.test(trimmed)) {
+      this.sessionTotalsDepth += 1;
+    } else if (/^END\s/i.test(trimmed)) {
+      this.sessionTotalsDepth = Math.max(0, this.sessionTotalsDepth - 1);
+    } else if (!this.sessionTotalsDepth) {
+      block.metrics.push(...parseSessionTotalLine(raw, line));
     }
   }
-  return matches;
+
+  continueHierarchyTrace(raw, trimmed, line) {
+    const trace = this.hierarchyTrace;
+    if (trace) {
+      if (HIERARCHY_END_REGEX.test(trimmed)) {
+        trace.endLine = line;
+        this.hierarchyTrace = null;
+        return;
+      }
+      if (!trace.header && trimmed.startsWith("%Total")) {
+        trace.header = trimmed;
+        return;
+      }
+      const row = parseHierarchyRow(raw, line);
+      if (row) {
+        trace.rows.push(row);
+      }
+      return;
+    }
+    if (!HIERARCHY_START_REGEX.test(trimmed)) {
+      return;
+    }
+    this.hierarchyTrace = {
+      line,
+      endLine: line,
+      version:
+        trimmed.replace(/^START JOURNAL_HIERARCHY_TRACE\s*/i, "").trim() ||
+        null,
+      header: null,
+      rows: [],
+    };
+    this.result.journalHierarchyTraces.push(this.hierarchyTrace);
+  }
+}
+
+function createProgressTracker(options) {
+  const onProgress =
+    typeof options?.onProgress === "function" ? options.onProgress : null;
+  const isCancelled =
+    typeof options?.isCancelled === "function" ? options.isCancelled : null;
+  let sinceCheck = 0;
+  return (readFraction) => {
+    sinceCheck += 1;
+    if (sinceCheck < CANCELLATION_CHECK_INTERVAL) {
+      return;
+    }
+    sinceCheck = 0;
+    if (isCancelled?.()) {
+      throw new ParseCancelledError();
+    }
+    onProgress?.({ stage: "Parsing", fraction: readFraction() });
+  };
 }
 
-function collectLogLines(lines) {
-  const entries = [];
-  for (let i = 0; i < lines.length; i += 1) {
-    const lineText = lines[i] ?? "";
-    const match = LOG_LINE_REGEX.exec(lineText);
+/**
+ * Parses syslog text that is already in memory (unsaved or non-file documents).
+ * `options.onProgress` receives `{ stage, fraction }` and `options.isCancelled` is polled every
+ * few thousand lines.
+ */
+export function parseTeamcenterLog(content, options = {}) {
+  const text = content ?? "";
+  const parser = options.parser ?? new SyslogStreamParser(options);
+  const track = createProgressTracker(options);
+  // Lines end at "\r\n", "\n" or a lone "\r", as in the editor and in `parseTeamcenterLogFile`.
+  const lineBreak = /\r\n?|\n/g;
+  let position = 0;
+  const readFraction = () => (text.length ? position / text.length : 1);
+  while (true) {
+    const match = lineBreak.exec(text);
+    parser.pushLine(text.slice(position, match ? match.index : text.length));
     if (!match) {
-      continue;
+      break;
     }
+    position = lineBreak.lastIndex;
+    track(readFraction);
+  }
+  return parser.finish();
+}
 
-    const levelText = match[1] ?? "";
-    const timestampText = match[2] ?? "";
-    const idRaw = match[3] ?? "";
-    const messageRaw = match[4] ?? "";
-
-    const levelStart = lineText.indexOf(levelText);
-    const levelEnd =
-      levelStart >= 0 ? levelStart + levelText.length : levelText.length;
-
-    const timestampStart = timestampText
-      ? lineText.indexOf(timestampText, levelEnd ?? 0)
-      : -1;
-    const timestampEnd =
-      timestampStart >= 0 ? timestampStart + timestampText.length : null;
-
-    const idValue = idRaw.trim();
-    const idRawIndex = idValue
-      ? lineText.indexOf(idRaw, timestampEnd ?? 0)
-      : -1;
-    const idLeadingSpaces = idRaw.length - idRaw.trimStart().length;
-    const idStart = idRawIndex >= 0 ? idRawIndex + idLeadingSpaces : -1;
-    const idEnd = idStart >= 0 ? idStart + idValue.length : null;
-
-    const messageValue = messageRaw.trim();
-    const messageRawIndex = messageValue
-      ? lineText.indexOf(
-          messageRaw,
-          idRawIndex >= 0 ? idRawIndex + idRaw.length : timestampEnd ?? 0
-        )
-      : -1;
-    const messageLeadingSpaces =
-      messageRaw.length - messageRaw.trimStart().length;
-    const messageStart =
-      messageRawIndex >= 0 ? messageRawIndex + messageLeadingSpaces : -1;
-    const messageEnd =
-      messageStart >= 0 ? messageStart + messageValue.length : null;
-    const isInlineSql = isInlineSqlText(messageValue);
-
-    entries.push({
-      line: i,
-      level: levelText,
-      timestamp: timestampText,
-      id: idValue,
-      message: messageValue,
-      levelStart: levelStart >= 0 ? levelStart : 0,
-      levelEnd: levelEnd,
-      timestampStart: timestampStart >= 0 ? timestampStart : null,
-      timestampEnd,
-      idStart: idStart >= 0 ? idStart : null,
-      idEnd,
-      messageStart: messageStart >= 0 ? messageStart : null,
-      messageEnd,
-      isInlineSql,
-    });
+/**
+ * Streams a syslog from disk through the parser without materialising the whole file as a
+ * single string, so very large session logs can be processed.
+ */
+export async function parseTeamcenterLogFile(filePath, options = {}) {
+  const parser = options.parser ?? new SyslogStreamParser(options);
+  const track = createProgressTracker(options);
+  const handle = await fs.promises.open(filePath, "r");
+  let byteLength = 0;
+  let endsWithReturn = false;
+  try {
+    // The size is fixed up front so a file that is still being written parses to a known offset.
+    const { size } = await handle.stat();
+    let endsWithNewline = false;
+    if (size > 0) {
+      const lastByte = Buffer.alloc(1);
+      await handle.read(lastByte, 0, 1, size - 1);
+      endsWithNewline = lastByte[0] === 0x0a;
+      endsWithReturn = lastByte[0] === 0x0d;
+      byteLength = endsWithNewline
+        ? size
+        : await findLineStartOffset(handle, size);
+      const stream = handle.createReadStream({
+        encoding: "utf8",
+        autoClose: false,
+        start: 0,
+        end: size - 1,
+      });
+      const readFraction = () => stream.bytesRead / size;
+      const reader = readline.createInterface({
+        input: stream,
+        crlfDelay: Infinity,
+      });
+      try {
+        for await (const line of reader) {
+          parser.pushLine(line);
+          track(readFraction);
+        }
+      } finally {
+        reader.close();
+        stream.destroy();
+      }
+    }
+    // readline drops the empty line after a trailing newline; keep line numbers aligned with
+    // what the editor shows for the same file.
+    if (endsWithNewline || endsWithReturn || size === 0) {
+      parser.pushLine("");
+    }
+  } finally {
+    await handle.close().catch(() => undefined);
   }
-  return entries;
+  // A trailing "\r" may be the first half of "\r\n", so its line is read again on append.
+  parser.fileState = {
+    filePath,
+    byteLength,
+    lineCount: parser.lineIndex - (endsWithReturn ? 2 : 1),
+  };
+  return parser.finish();
 }
 
-export function parseTeamcenterLog(content) {
-  const lines = content.split(/\r?\n/);
-  const input = new antlr4.InputStream(content);
-  const lexer = new TeamcenterLogLexer(input);
-  const tokens = new antlr4.CommonTokenStream(lexer);
-  const parser = new TeamcenterLogParser(tokens);
-  parser.removeErrorListeners();
-  lexer.removeErrorListeners();
-
-  parser.buildParseTrees = true;
-  const tree = parser.logFile();
-  const visitor = new CollectingVisitor(lines);
-  const result = tree.accept(visitor);
-
-  const heuristicSql = collectSqlSections(lines);
-  if (Array.isArray(result.sqlDumps) && result.sqlDumps.length) {
-    const heuristicsByLine = new Map(
-      heuristicSql.map((section) => [section.line, section])
+/**
+ * Index just past the last line break in `bytes`, or 0 when there is none. A "\r" at `last`,
+ * the end of the file, does not count: the "\n" of a "\r\n" may not be written yet.
+ */
+function findLineBreakEnd(bytes, last = bytes.length - 1) {
+  for (let index = bytes.length - 1; index >= 0; index -= 1) {
+    if (bytes[index] === 0x0a || (bytes[index] === 0x0d && index !== last)) {
+      return index + 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Returns the byte offset just after the last line break before `size`, i.e. where the final
+ * (unterminated) line of the file starts.
+ */
+async function findLineStartOffset(handle, size) {
+  const chunk = Buffer.alloc(64 * 1024);
+  let end = size;
+  while (end > 0) {
+    const start = Math.max(0, end - chunk.length);
+    const { bytesRead } = await handle.read(chunk, 0, end - start, start);
+    const lineBreakEnd = findLineBreakEnd(
+      chunk.subarray(0, bytesRead),
+      size - 1 - start
     );
-    const merged = result.sqlDumps.map((section) => {
-      const fallback = heuristicsByLine.get(section.line);
-      if (fallback) {
-        heuristicsByLine.delete(section.line);
-        return {
-          line: section.line ?? fallback.line,
-          endLine: section.endLine ?? fallback.endLine,
-          rows: section.rows?.length ? section.rows : fallback.rows,
-        };
+    if (lineBreakEnd) {
+      return start + lineBreakEnd;
+    }
+    end = start;
+  }
+  return 0;
+}
+
+/**
+ * Continues a file parse with whatever was appended to the file since `options.parser` last
+ * read it. The unterminated last line is parsed again together with the new bytes. Returns the
+ * anchor line the parse resumed from, or `null` when the file no longer extends what was parsed
+ * (it was truncated, replaced or never parsed from disk).
+ */
+export async function parseTeamcenterLogAppend(filePath, options = {}) {
+  const parser = options.parser;
+  const state = parser?.fileState;
+  if (!state || state.filePath !== filePath) {
+    return null;
+  }
+  const handle = await fs.promises.open(filePath, "r");
+  let appended;
+  try {
+    const { size } = await handle.stat();
+    if (size < state.byteLength) {
+      return null;
+    }
+    appended = Buffer.alloc(size - state.byteLength);
+    let offset = 0;
+    while (offset < appended.length) {
+      const { bytesRead } = await handle.read(
+        appended,
+        offset,
+        appended.length - offset,
+        state.byteLength + offset
+      );
+      if (!bytesRead) {
+        break;
       }
-      return {
-        line: section.line ?? 0,
-        endLine: section.endLine ?? section.line ?? 0,
-        rows: section.rows ?? [],
-      };
-    });
-    for (const leftover of heuristicsByLine.values()) {
-      merged.push(leftover);
+      offset += bytesRead;
     }
-    result.sqlDumps = merged;
-  } else {
-    result.sqlDumps = heuristicSql;
+    appended = appended.subarray(0, offset);
+  } finally {
+    await handle.close().catch(() => undefined);
   }
+  const anchor = parser.resumeFrom(state.lineCount);
+  if (anchor === null) {
+    return null;
+  }
+  parseTeamcenterLog(appended.toString("utf8"), { ...options, parser });
+  const endsWithReturn = appended[appended.length - 1] === 0x0d;
+  parser.fileState = {
+    filePath,
+    byteLength: state.byteLength + findLineBreakEnd(appended),
+    lineCount: parser.lineIndex - (endsWithReturn ? 2 : 1),
+  };
+  return anchor;
+}
+
+/**
+ * Line-to-time index of a parse result. SQL, dumps, env sections and handler traces carry no
+ * timestamp of their own, so a raw line belongs to the log entry written last at or before it;
+ * `logLines` is sorted by line and doubles as the index. Returns that entry, or null for lines
+ * before the first one.
+ */
+export function findOwningEntry(parsed, line) {
+  return findLastAtOrBefore(parsed?.logLines ?? [], line);
+}
 
-  result.header = collectHeader(lines);
-  result.systemInfo = collectSystemInfo(lines);
-  result.logLines = collectLogLines(lines);
+/**
+ * `{ time, timestamp, line }` of a raw line: the epoch milliseconds and timestamp text of its
+ * owning entry, and the line that entry starts on. Null before the first timestamped entry.
+ */
+export function timeAtLine(parsed, line) {
+  const entry = findOwningEntry(parsed, line);
+  return entry && entry.time !== null
+    ? { time: entry.time, timestamp: entry.timestamp, line: entry.line }
+    : null;
+}
 
-  const inlineLogSet = new Map();
-  for (const entry of result.logLines ?? []) {
-    if (entry?.isInlineSql) {
-      inlineLogSet.set(entry.line, entry);
-    }
-  }
-  const heuristicInline = collectInlineSqlLines(lines).filter(
-    (item) => !inlineLogSet.has(item.line)
-  );
-  result.inlineSqlLines = [
-    ...(inlineLogSet.size
-      ? Array.from(inlineLogSet.values()).map((entry) => ({
-          line: entry.line,
-          text: entry.message ?? lines[entry.line] ?? "",
-          fromLog: true,
-        }))
-      : []),
-    ...heuristicInline.map((item) => ({
-      line: item.line,
-      text: item.text,
-      fromLog: false,
-    })),
-  ].sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
-
-  result.journalSections = collectJournalSections(lines);
-  result.journalHierarchyTraces = collectJournalHierarchyTraces(lines);
-  result.accessChecks = collectAccessChecks(lines);
-  result.workflowHandlers = collectWorkflowHandlers(lines);
-  result.lines = lines;
-
-  return result;
+/**
+ * The parser anchor at or before `line`: the line a re-parse of an edit at `line` has to start
+ * from. Works on a parse result as well as on the parser producing it.
+ */
+export function findParsedAnchor(parsed, line) {
+  const anchors = parsed?.anchors ?? [];
+  const tailAnchor = parsed?.tailAnchor ?? 0;
+  if (tailAnchor <= line) {
+    return tailAnchor;
+  }
+  let low = 0;
+  let high = anchors.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (anchors[middle] <= line) {
+      found = anchors[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Patches a previously parsed result in place with a delta produced by `createDelta`. Returns
+ * the names of the result fields that changed.
+ */
+export function applyParseDelta(parsed, delta) {
+  const changed = new Set();
+  const splice = (target, keep, items) => {
+    if (target.length > keep) {
+      target.length = keep;
+    }
+    for (const item of items) {
+      target.push(item);
+    }
+  };
+  for (const [key, { keep, items }] of Object.entries(delta.collections)) {
+    if (!Array.isArray(parsed[key])) {
+      parsed[key] = [];
+    }
+    if (parsed[key].length === keep && !items.length) {
+      continue;
+    }
+    splice(parsed[key], keep, items);
+    changed.add(key);
+  }
+  if (!Array.isArray(parsed.anchors)) {
+    parsed.anchors = [];
+  }
+  splice(parsed.anchors, delta.anchors.keep, delta.anchors.items);
+  parsed.tailAnchor = delta.tailAnchor;
+  parsed.revision = delta.revision;
+  if (delta.lines) {
+    if (!Array.isArray(parsed.lines)) {
+      parsed.lines = [];
+    }
+    splice(parsed.lines, delta.lines.keep, delta.lines.items);
+    changed.add("lines");
+  }
+  if (delta.anchorLine <= 1) {
+    parsed.header = delta.header;
+    changed.add("header");
+  }
+  return changed;
 }
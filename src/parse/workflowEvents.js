@@ -0,0 +1,119 @@
+/**
+ * Extracts workflow facts from EPM_debug / TC_HANDLER_TRACE output: the job and task being
+ * processed, task state transitions, handler arguments, decisions and ifail codes. Each line is
+ * read on its own; `buildWorkflowProcesses` puts the events back into job and task context.
+ */
+const WORKFLOW_HINT_REGEX = /job|task|state|arg|decision|EPM_|ifail/i;
+// EPM_debug lines carry the EPM logger or the EPM function that wrote them: `Teamcenter.EPM - `,
+// `EPM_debug: `, `EPM_set_task_state: `. The prefix is dropped before the facts are read.
+const EPM_PREFIX_REGEX =
+  /^(?:Teamcenter\.EPM(?:\.\w+)*\s*[:-]?|EPM(?:_\w+)?\s*:|EPM\s+-)\s*/;
+const EPM_ID_REGEX = /(?:^|[\s.:])EPM(?:[\s.:_]|$)/i;
+// Facts are `Key: value` pairs at the start of the message or after a `,`/`;` separator, so
+// prose such as "Background task: ..." or "Object state: ..." does not match.
+const JOB_REGEX = /(?:^|[,;]\s*)Job(?:\s+name)?\s*[:=]\s*/i;
+const TASK_REGEX = /(?:^|[,;]\s*)Task(?:\s+name)?\s*[:=]\s*/i;
+const STATE_TRANSITION_REGEX =
+  /(?:^|[,;]\s*)(?:Task\s+)?State(?:\s+changed\s+from\s+|\s*[:=]\s*)"?([A-Za-z_]+)"?\s*(?:->|=>|\sto\s)\s*"?([A-Za-z_]+)"?/i;
+const STATE_REGEX = /(?:^|[,;]\s*)(?:Task\s+)?State\s*[:=]\s*"?([A-Za-z_]+)"?/i;
+const ARGUMENTS_REGEX =
+  /(?:^|[,;]\s*)(?:Handler\s+)?Arg(?:ument)?s?\s*[:=]\s*(.*)$/i;
+const ARGUMENT_TOKEN_REGEX = /(?:^|\s)(-[A-Za-z_][\w.-]*)(?:=("[^"]*"|\S*))?/g;
+const DECISION_REGEX =
+  /(?:^|[,;]\s*)Decision\s*[:=]\s*"?([A-Za-z_]+)"?|\b(EPM_(?:go|nogo|undecided))\b/i;
+const IFAIL_REGEX = /\bifail\s*[:=]?\s*(-?\d+)/i;
+// A value ends at a separator, a double space or the next `Key:` pair.
+const VALUE_END_REGEX = /\s*[,;]|\s{2,}|\s+[A-Za-z][\w ]{0,20}?\s*[:=]\s/;
+
+function readValue(text, regex) {
+  const match = regex.exec(text);
+  if (!match) {
+    return null;
+  }
+  const rest = text.slice(match.index + match[0].length);
+  const quoted = /^(["'])(.*?)\1/.exec(rest);
+  if (quoted) {
+    return quoted[2].trim() || null;
+  }
+  const end = VALUE_END_REGEX.exec(rest);
+  const value = (end ? rest.slice(0, end.index) : rest).trim();
+  return value || null;
+}
+
+/**
+ * Splits `-name=value -flag` handler arguments. Text without dash-style names is kept whole.
+ */
+export function parseHandlerArguments(text) {
+  const args = [];
+  ARGUMENT_TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = ARGUMENT_TOKEN_REGEX.exec(text)) !== null) {
+    args.push({
+      name: match[1],
+      value: match[2] !== undefined ? match[2].replace(/^"|"$/g, "") : null,
+    });
+  }
+  if (!args.length && text.trim()) {
+    args.push({ name: text.trim(), value: null });
+  }
+  return args;
+}
+
+/**
+ * Whether a log entry was written by the EPM logger, going by its message prefix or its ID.
+ */
+export function isEpmEntry(entry) {
+  return Boolean(
+    entry &&
+      (EPM_PREFIX_REGEX.test(entry.message) || EPM_ID_REGEX.test(entry.id))
+  );
+}
+
+/**
+ * Workflow events on one line, in the order job, task, state, arguments, decision, ifail.
+ * Callers only pass lines from EPM_debug / TC_HANDLER_TRACE output.
+ */
+export function parseWorkflowEvents(text) {
+  const source = String(text ?? "")
+    .trim()
+    .replace(EPM_PREFIX_REGEX, "");
+  const events = [];
+  if (!WORKFLOW_HINT_REGEX.test(source)) {
+    return events;
+  }
+  const job = readValue(source, JOB_REGEX);
+  if (job) {
+    events.push({ kind: "job", name: job });
+  }
+  const task = readValue(source, TASK_REGEX);
+  if (task) {
+    events.push({ kind: "task", name: task });
+  }
+  const transition = STATE_TRANSITION_REGEX.exec(source);
+  const state = transition ? null : STATE_REGEX.exec(source);
+  if (transition || state) {
+    events.push({
+      kind: "state",
+      from: transition ? transition[1] : null,
+      to: transition ? transition[2] : state[1],
+    });
+  }
+  const args = ARGUMENTS_REGEX.exec(source);
+  if (args && args[1].trim()) {
+    events.push({ kind: "arguments", args: parseHandlerArguments(args[1]) });
+  }
+  const decision = DECISION_REGEX.exec(source);
+  if (decision) {
+    events.push({ kind: "decision", value: decision[1] ?? decision[2] });
+  }
+  const ifail = IFAIL_REGEX.exec(source);
+  if (ifail) {
+    events.push({ kind: "ifail", code: Number(ifail[1]) });
+  }
+  return events;
+}
+
+export function parseIfail(text) {
+  const match = IFAIL_REGEX.exec(String(text ?? ""));
+  return match ? Number(match[1]) : null;
+}
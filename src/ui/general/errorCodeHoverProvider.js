@@ -0,0 +1,80 @@
+import * as vscode from "vscode";
+
+const CODE_REGEX = /-?\d{3,7}/;
+const ERROR_CONTEXT_REGEX = /error\s+stack|ifail|^\s*-?\d{3,7}\s*:/i;
+
+/**
+ * Hovers for ifail codes on error stack lines: the dictionary explanation, the module the code
+ * belongs to and how often the current syslog raised it.
+ */
+export class ErrorCodeHoverProvider {
+  constructor(controller) {
+    this.controller = controller;
+  }
+
+  provideHover(document, position) {
+    const range = document.getWordRangeAtPosition(position, CODE_REGEX);
+    if (!range || !ERROR_CONTEXT_REGEX.test(document.lineAt(position).text)) {
+      return undefined;
+    }
+    const code = Number(document.getText(range));
+    const known = this.controller.errorCodes?.describe(code);
+    const occurrences = this.findOccurrences(document, code);
+    const logged = occurrences.find((item) => item.message)?.message;
+    if (!known?.text && !known?.family && !occurrences.length) {
+      return undefined;
+    }
+    const lines = [`**ifail ${code}**`];
+    if (known?.text) {
+      lines.push(known.text);
+    }
+    if (known?.family) {
+      lines.push(
+        `Module: ${known.family.module}${
+          known.family.description ? ` — ${known.family.description}` : ""
+        }`
+      );
+    }
+    if (known?.approximate) {
+      lines.push(
+        "_Approximate: from the bundled dictionary, not an official list. Add the code to `tcSyslogViewer.errorCodes.file` to override it._"
+      );
+    }
+    if (logged && logged !== known?.text) {
+      lines.push(`Logged as: ${logged}`);
+    }
+    if (occurrences.length) {
+      lines.push(
+        `Raised ${occurrences.length} time${
+          occurrences.length === 1 ? "" : "s"
+        } in this syslog.`
+      );
+    }
+    return new vscode.Hover(
+      new vscode.MarkdownString(lines.join("\n\n")),
+      range
+    );
+  }
+
+  findOccurrences(document, code) {
+    const parsed = this.controller.latestParsed;
+    if (
+      !parsed ||
+      this.controller.currentUri?.toString() !== document.uri.toString()
+    ) {
+      return [];
+    }
+    return (parsed.errorStacks ?? []).flatMap((stack) =>
+      stack.codes.filter((item) => item.code === code)
+    );
+  }
+}
+
+export function registerErrorCodeHoverProvider(context, controller) {
+  context.subscriptions.push(
+    vscode.languages.registerHoverProvider(
+      { language: "teamcenter-syslog" },
+      new ErrorCodeHoverProvider(controller)
+    )
+  );
+}
@@ -0,0 +1,41 @@
+import * as vscode from "vscode";
+import { timeAtLine } from "../../parse/tcServerSyslogParser.js";
+
+/**
+ * Hovers for lines without a timestamp of their own (SQL, dumps, journal rows, handler traces):
+ * the time of the log entry they were written under.
+ */
+export class LineTimeHoverProvider {
+  constructor(controller) {
+    this.controller = controller;
+  }
+
+  provideHover(document, position) {
+    const parsed = this.controller.latestParsed;
+    if (
+      !parsed ||
+      this.controller.currentUri?.toString() !== document.uri.toString()
+    ) {
+      return undefined;
+    }
+    const time = timeAtLine(parsed, position.line);
+    if (!time || time.line === position.line) {
+      return undefined;
+    }
+    return new vscode.Hover(
+      new vscode.MarkdownString(
+        `Logged at **${time.timestamp}** UTC (entry on line ${time.line + 1})`
+      ),
+      document.lineAt(position.line).range
+    );
+  }
+}
+
+export function registerLineTimeHoverProvider(context, controller) {
+  context.subscriptions.push(
+    vscode.languages.registerHoverProvider(
+      { language: "teamcenter-syslog" },
+      new LineTimeHoverProvider(controller)
+    )
+  );
+}
@@ -0,0 +1,92 @@
+import * as vscode from "vscode";
+import { findLastAtOrBefore } from "../../util/helpers.js";
+
+const IDENTIFIER_REGEX = /[A-Za-z_][A-Za-z0-9_$#]*/;
+const SQL_CONTEXT_REGEX = /\b(?:FROM|JOIN|INTO|UPDATE)\b/i;
+
+/**
+ * Hovers for POM names inside syslog SQL: a table shows its business object class and an
+ * `alias.column` reference shows the attribute it stores.
+ */
+export class PomHoverProvider {
+  constructor(controller) {
+    this.controller = controller;
+  }
+
+  /**
+   * Whether a line holds SQL: it names a table, or the parser found a statement or profile dump
+   * row on it. Guessed names are only offered there.
+   */
+  isSqlLine(document, line, lineText) {
+    if (SQL_CONTEXT_REGEX.test(lineText)) {
+      return true;
+    }
+    const parsed = this.controller.latestParsed;
+    if (
+      !parsed ||
+      this.controller.currentUri?.toString() !== document.uri.toString()
+    ) {
+      return false;
+    }
+    const dump = findLastAtOrBefore(parsed.sqlDumps ?? [], line);
+    return (
+      findLastAtOrBefore(parsed.inlineSqlLines ?? [], line)?.line === line ||
+      (dump !== null && dump.endLine >= line)
+    );
+  }
+
+  provideHover(document, position) {
+    const range = document.getWordRangeAtPosition(position, IDENTIFIER_REGEX);
+    if (!range) {
+      return undefined;
+    }
+    const lineText = document.lineAt(position.line).text;
+    const word = document.getText(range);
+    const mapping = this.controller.pomMapping;
+    const qualified = lineText.charAt(range.start.character - 1) === ".";
+    if (qualified) {
+      // `InitializeModule.POM` or `file.pdf` are not column references.
+      const attribute = mapping.attributeForColumn(word);
+      if (
+        !attribute ||
+        (attribute.derived &&
+          !this.isSqlLine(document, position.line, lineText))
+      ) {
+        return undefined;
+      }
+      return new vscode.Hover(
+        new vscode.MarkdownString(
+          `**${attribute.name}** — attribute stored in column \`${word}\``
+        ),
+        range
+      );
+    }
+    // Guessed class names are only offered where the word is most likely a table.
+    const target = mapping.classForTable(word);
+    if (
+      !target ||
+      word !== word.toUpperCase() ||
+      (target.derived && !this.isSqlLine(document, position.line, lineText))
+    ) {
+      return undefined;
+    }
+    const note = target.derived
+      ? "\n\nDerived from the `P` table prefix; add it to the POM mapping file for the exact class name."
+      : "";
+    return new vscode.Hover(
+      new vscode.MarkdownString(
+        `**${target.name}** — business object stored in table \`${word}\`${note}`
+      ),
+      range
+    );
+  }
+}
+
+export function registerPomHoverProvider(context, controller) {
+  context.subscriptions.push(
+    vscode.languages.registerHoverProvider(
+      { language: "teamcenter-syslog" },
+      new PomHoverProvider(controller)
+    )
+  );
+}
@@ -1,6 +1,7 @@
 import * as vscode from "vscode";
 import { NODE_CONTEXT } from "../../util/constants.js";
 import { truncate } from "../../util/helpers.js";
+import { filterTreeNodes } from "../../core/treeFilter.js";
 
 /**
  * Tree data providers power the primary explorer views.
@@ -10,25 +11,80 @@ export class SyslogTreeDataProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
     this.model = { resource: null, nodes: [] };
+    this.filter = null;
+    this.visibleNodes = [];
+    this.rootsById = new Map();
+    this.renderedRoots = new Map();
   }
 
-  setModel(model) {
+  /**
+   * Replaces the model. When `options.changedNodes` is given and the root categories are the same
+   * as before, only those nodes are refreshed so the rest of the tree keeps its expansion state.
+   */
+  setModel(model, options = {}) {
+    const previous = this.model;
     this.model = model;
+    this.updateVisibleNodes();
+    const changedNodes = options.changedNodes;
+    const sameRoots =
+      !this.filter &&
+      Array.isArray(changedNodes) &&
+      previous.resource?.toString() === model.resource?.toString() &&
+      previous.nodes.length === model.nodes.length &&
+      previous.nodes.every((node, index) => node.id === model.nodes[index].id);
+    const renderedNodes = sameRoots
+      ? changedNodes.map((node) => this.renderedRoots.get(node.id))
+      : [];
+    if (!sameRoots || renderedNodes.some((node) => !node)) {
+      this._onDidChangeTreeData.fire();
+      return;
+    }
+    // VS Code tracks elements by identity, so the refresh targets the root objects it was given.
+    for (const node of renderedNodes) {
+      this._onDidChangeTreeData.fire(node);
+    }
+  }
+
+  /**
+   * Shows only the nodes that pass `filter` (see `filterTreeNodes`); null shows everything.
+   */
+  setFilter(filter) {
+    this.filter = filter;
+    this.updateVisibleNodes();
     this._onDidChangeTreeData.fire();
   }
 
+  updateVisibleNodes() {
+    this.visibleNodes = this.filter
+      ? filterTreeNodes(
+          this.model.nodes,
+          this.filter,
+          (line) => this.model.entryAt?.(line) ?? null
+        )
+      : this.model.nodes;
+    this.rootsById = new Map(this.visibleNodes.map((node) => [node.id, node]));
+  }
+
   clear() {
     this.setModel({ resource: null, nodes: [] });
   }
 
+  resolveNode(node) {
+    return this.rootsById.get(node.id) ?? node;
+  }
+
   getChildren(element) {
     if (!element) {
-      return this.model.nodes;
+      this.renderedRoots = new Map(
+        this.visibleNodes.map((node) => [node.id, node])
+      );
+      return this.visibleNodes;
     }
-    return element.children ?? [];
+    return this.resolveNode(element).children ?? [];
   }
 
-  getTreeItem(node) {
+  getTreeItem(element) {
+    const node = this.resolveNode(element);
     const collapsible = node.children?.length
       ? node.expanded
         ? vscode.TreeItemCollapsibleState.Expanded
@@ -40,19 +96,33 @@ export class SyslogTreeDataProvider {
     if (node.description) {
       item.description = node.description;
     }
-    if (node.tooltip) {
-      item.tooltip = node.tooltip;
-    } else if (node.description) {
-      item.tooltip = node.description;
+    const tooltip = this.describeTooltip(node);
+    const time = this.describeLineTime(node, tooltip);
+    if (tooltip || time) {
+      item.tooltip = [tooltip, time].filter(Boolean).join("\n");
     }
     if (node.icon) {
-      item.iconPath = new vscode.ThemeIcon(node.icon);
+      item.iconPath = new vscode.ThemeIcon(
+        node.icon,
+        node.iconColor ? new vscode.ThemeColor(node.iconColor) : undefined
+      );
     }
     if (node.line !== undefined && node.line !== null && this.model.resource) {
       item.command = {
         command: "tcSyslogViewer.revealLine",
         title: "Reveal in Editor",
-        arguments: [this.model.resource, node.line],
+        arguments: [
+          this.model.resource,
+          node.line,
+          node.selection
+            ? {
+                startLine: node.selection.startLine,
+                startCharacter: 0,
+                endLine: node.selection.endLine,
+                endCharacter: Number.MAX_SAFE_INTEGER,
+              }
+            : undefined,
+        ],
       };
     }
     if (node.contextValue) {
@@ -60,6 +130,43 @@ export class SyslogTreeDataProvider {
     }
     return item;
   }
+
+  /**
+   * A node's tooltip, followed by the document lines in `node.tooltipLines` (log entry
+   * continuations are not kept in the parse result).
+   */
+  describeTooltip(node) {
+    const tooltip = node.tooltip || node.description;
+    const span = node.tooltipLines;
+    if (!span || !this.model.lineText) {
+      return tooltip;
+    }
+    const lines = [];
+    for (let line = span.startLine; line <= span.endLine; line += 1) {
+      lines.push(this.model.lineText(line));
+    }
+    if (span.more > 0) {
+      lines.push(`... (${span.more} more lines)`);
+    }
+    return [tooltip, ...lines].join("\n");
+  }
+
+  /**
+   * The time of the entry a node's line belongs to, for nodes whose tooltip does not show it
+   * already (SQL, dump and journal rows, handler lines).
+   */
+  describeLineTime(node, tooltip) {
+    if (typeof node.line !== "number" || !this.model.timeAt) {
+      return null;
+    }
+    const time = this.model.timeAt(node.line);
+    if (!time || String(tooltip ?? "").includes(time.timestamp)) {
+      return null;
+    }
+    return time.line === node.line
+      ? `Time: ${time.timestamp}`
+      : `Time: ${time.timestamp} (entry on line ${time.line + 1})`;
+  }
 }
 
 export class FavoritesTreeDataProvider {
@@ -119,6 +226,105 @@ export class FavoritesTreeDataProvider {
   }
 }
 
+/**
+ * Ranked list of aggregated items (SQL statements, journal functions, ...). Items carry a
+ * `metrics` object; the view sorts them in descending order of the selected metric.
+ */
+export class HotspotsTreeDataProvider {
+  constructor(metrics) {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.metrics = metrics;
+    this.sortKey = metrics[0]?.key;
+    this.model = { resource: null, items: [] };
+  }
+
+  setModel(model) {
+    this.model = model;
+    this._onDidChangeTreeData.fire();
+  }
+
+  clear() {
+    this.setModel({ resource: null, items: [] });
+  }
+
+  hasItems() {
+    return this.model.items.length > 0;
+  }
+
+  getSortMetric() {
+    return (
+      this.metrics.find((metric) => metric.key === this.sortKey) ??
+      this.metrics[0]
+    );
+  }
+
+  setSortKey(key) {
+    this.sortKey = key;
+    this._onDidChangeTreeData.fire();
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.children ?? [];
+    }
+    const { key } = this.getSortMetric();
+    return [...this.model.items].sort(
+      (a, b) => (b.metrics?.[key] ?? 0) - (a.metrics?.[key] ?? 0)
+    );
+  }
+
+  describeMetrics(node) {
+    const sortMetric = this.getSortMetric();
+    const ordered = [
+      sortMetric,
+      ...this.metrics.filter((metric) => metric !== sortMetric),
+    ];
+    return ordered
+      .filter((metric) => node.metrics[metric.key] !== undefined)
+      .map((metric) => metric.format(node.metrics[metric.key]))
+      .join(" · ");
+  }
+
+  getTreeItem(node) {
+    const collapsible = node.children?.length
+      ? vscode.TreeItemCollapsibleState.Collapsed
+      : vscode.TreeItemCollapsibleState.None;
+    const item = new vscode.TreeItem(node.label, collapsible);
+    item.id = node.id;
+    item.description = node.metrics
+      ? [this.describeMetrics(node), node.description]
+          .filter(Boolean)
+          .join(" · ")
+      : node.description;
+    item.tooltip = node.tooltip ?? node.label;
+    if (node.icon) {
+      item.iconPath = new vscode.ThemeIcon(node.icon);
+    }
+    if (node.line !== undefined && node.line !== null && this.model.resource) {
+      const endLine = node.endLine ?? node.line;
+      item.command = {
+        command: "tcSyslogViewer.revealLine",
+        title: "Reveal in Editor",
+        arguments: [
+          this.model.resource,
+          node.line,
+          {
+            startLine: node.line,
+            startCharacter: 0,
+            endLine,
+            endCharacter: Number.MAX_SAFE_INTEGER,
+          },
+        ],
+      };
+    }
+    if (node.contextValue) {
+      item.contextValue = node.contextValue;
+    }
+    return item;
+  }
+}
+
 export class OccurrencesTreeDataProvider {
   constructor() {
     this._onDidChangeTreeData = new vscode.EventEmitter();
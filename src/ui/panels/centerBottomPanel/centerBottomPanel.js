@@ -1,6 +1,10 @@
 import { tcSyslogViewerOccurrencesView } from "./views/tcSyslogViewerOccurrencesView.js";
+import { tcSyslogViewerSqlHotspotsView } from "./views/tcSyslogViewerSqlHotspotsView.js";
+import { tcSyslogViewerJournalHotspotsView } from "./views/tcSyslogViewerJournalHotspotsView.js";
 
 export function centerBottomPanel(context) {
   const occurrences = tcSyslogViewerOccurrencesView(context);
-  return { occurrences };
+  const sqlHotspots = tcSyslogViewerSqlHotspotsView(context);
+  const journalHotspots = tcSyslogViewerJournalHotspotsView(context);
+  return { occurrences, sqlHotspots, journalHotspots };
 }
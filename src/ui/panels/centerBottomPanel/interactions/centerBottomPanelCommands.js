@@ -13,5 +13,11 @@ export function centerBottomPanelCommands(controller) {
       "tcSyslogViewer.findAllOccurrencesOpenInEditor",
       () => controller.findAllOccurrencesOpenInEditor()
     ),
+    vscode.commands.registerCommand("tcSyslogViewer.sortSqlHotspots", () =>
+      controller.sortSqlHotspots()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.sortJournalHotspots", () =>
+      controller.sortJournalHotspots()
+    ),
   ];
 }
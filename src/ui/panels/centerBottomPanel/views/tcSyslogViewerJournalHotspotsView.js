@@ -0,0 +1,21 @@
+import * as vscode from "vscode";
+
+import { HotspotsTreeDataProvider } from "../../../general/treeProviders.js";
+import { JOURNAL_HOTSPOT_METRICS } from "../../../../core/journalHotspots.js";
+
+export function tcSyslogViewerJournalHotspotsView(context) {
+  const treeDataProvider = new HotspotsTreeDataProvider(
+    JOURNAL_HOTSPOT_METRICS
+  );
+  const treeView = vscode.window.createTreeView(
+    "tcSyslogViewerJournalHotspots",
+    {
+      treeDataProvider,
+    }
+  );
+  treeView.message =
+    "Open a .syslog file with JOURNALLED_TIMES sections to rank its functions.";
+  treeView.description = `by ${treeDataProvider.getSortMetric().label}`;
+  context.subscriptions.push(treeView);
+  return { treeDataProvider, treeView };
+}
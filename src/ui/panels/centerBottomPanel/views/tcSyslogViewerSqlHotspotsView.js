@@ -0,0 +1,16 @@
+import * as vscode from "vscode";
+
+import { HotspotsTreeDataProvider } from "../../../general/treeProviders.js";
+import { SQL_HOTSPOT_METRICS } from "../../../../core/sqlHotspots.js";
+
+export function tcSyslogViewerSqlHotspotsView(context) {
+  const treeDataProvider = new HotspotsTreeDataProvider(SQL_HOTSPOT_METRICS);
+  const treeView = vscode.window.createTreeView("tcSyslogViewerSqlHotspots", {
+    treeDataProvider,
+  });
+  treeView.message =
+    "Open a .syslog file with SQL_PROFILE_DUMP sections to rank its SQL.";
+  treeView.description = `by ${treeDataProvider.getSortMetric().label}`;
+  context.subscriptions.push(treeView);
+  return { treeDataProvider, treeView };
+}
@@ -0,0 +1,323 @@
+import * as vscode from "vscode";
+
+/**
+ * Bottom-panel webview with the log density histogram. Dragging across bars filters the trees
+ * and decorations to that time window; clicking a bar reveals its first entry.
+ */
+class TimelineWebviewProvider {
+  constructor(controller) {
+    this.controller = controller;
+    this.webviewView = undefined;
+    this.disposable = undefined;
+    this.bucket = "auto";
+  }
+
+  resolveWebviewView(webviewView) {
+    this.webviewView = webviewView;
+    webviewView.webview.options = { enableScripts: true };
+    webviewView.webview.html = this.buildHtml();
+    const disposables = [
+      webviewView.webview.onDidReceiveMessage((message) =>
+        this.handleMessage(message)
+      ),
+      this.controller.onTimelineChanged(() => this.postTimeline()),
+      webviewView.onDidChangeVisibility(() => {
+        if (webviewView.visible) {
+          this.postTimeline();
+        }
+      }),
+      webviewView.onDidDispose(() => {
+        this.disposable?.dispose();
+        this.disposable = undefined;
+        this.webviewView = undefined;
+      }),
+    ];
+    this.disposable = vscode.Disposable.from(...disposables);
+  }
+
+  dispose() {
+    this.disposable?.dispose();
+    this.disposable = undefined;
+  }
+
+  postTimeline() {
+    if (!this.webviewView?.visible) {
+      return;
+    }
+    this.webviewView.webview.postMessage({
+      type: "timeline",
+      timeline: this.controller.getTimeline(this.bucket),
+      range: this.controller.timeRange ?? null,
+    });
+  }
+
+  handleMessage(message) {
+    if (message?.type === "ready") {
+      this.postTimeline();
+    } else if (message?.type === "bucket") {
+      this.bucket = message.bucket;
+      this.postTimeline();
+    } else if (message?.type === "range") {
+      this.controller.setTimeRange({ from: message.from, to: message.to });
+    } else if (message?.type === "clearRange") {
+      this.controller.clearTimeRange();
+    } else if (message?.type === "reveal") {
+      this.controller.revealTimelineLine(message.line);
+    }
+  }
+
+  buildHtml() {
+    const nonce = Date.now().toString(36);
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <style>
+      body {
+        font-family: var(--vscode-font-family);
+        font-size: var(--vscode-font-size);
+        color: var(--vscode-foreground);
+        margin: 0;
+        padding: 0.4rem 0.6rem;
+      }
+      .toolbar {
+        display: flex;
+        gap: 0.6rem;
+        align-items: center;
+        margin-bottom: 0.3rem;
+      }
+      select {
+        background: var(--vscode-dropdown-background);
+        color: var(--vscode-dropdown-foreground);
+        border: 1px solid var(--vscode-dropdown-border, transparent);
+      }
+      button {
+        background: var(--vscode-button-secondaryBackground);
+        color: var(--vscode-button-secondaryForeground);
+        border: none;
+        padding: 0.2rem 0.6rem;
+        cursor: pointer;
+      }
+      #legend span {
+        margin-right: 0.6rem;
+        white-space: nowrap;
+      }
+      #legend i {
+        display: inline-block;
+        width: 0.7rem;
+        height: 0.7rem;
+        margin-right: 0.25rem;
+        vertical-align: middle;
+      }
+      #status {
+        color: var(--vscode-descriptionForeground);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      canvas {
+        display: block;
+        width: 100%;
+        height: 140px;
+        cursor: crosshair;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="toolbar">
+      <select id="bucket">
+        <option value="auto">Auto</option>
+        <option value="second">Per second</option>
+        <option value="minute">Per minute</option>
+        <option value="hour">Per hour</option>
+        <option value="day">Per day</option>
+      </select>
+      <button id="clear" hidden>Clear Time Filter</button>
+      <span id="legend"></span>
+    </div>
+    <canvas id="chart"></canvas>
+    <div id="status">Open a .syslog file to see its log density.</div>
+    <script nonce="${nonce}">
+      (function () {
+        const vscode = acquireVsCodeApi();
+        const LEVEL_COLORS = {
+          FATAL: '--vscode-charts-purple',
+          ERROR: '--vscode-charts-red',
+          WARN: '--vscode-charts-yellow',
+          NOTE: '--vscode-charts-blue',
+          INFO: '--vscode-charts-green',
+          DEBUG: '--vscode-descriptionForeground',
+        };
+        const canvas = document.getElementById('chart');
+        const statusEl = document.getElementById('status');
+        const legendEl = document.getElementById('legend');
+        const clearEl = document.getElementById('clear');
+        const bucketEl = document.getElementById('bucket');
+        let timeline = null;
+        let range = null;
+        let drag = null;
+
+        window.addEventListener('message', (event) => {
+          const message = event.data;
+          if (message && message.type === 'timeline') {
+            timeline = message.timeline;
+            range = message.range;
+            render();
+          }
+        });
+        bucketEl.addEventListener('change', () => {
+          vscode.postMessage({ type: 'bucket', bucket: bucketEl.value });
+        });
+        clearEl.addEventListener('click', () => {
+          vscode.postMessage({ type: 'clearRange' });
+        });
+        canvas.addEventListener('mousedown', (event) => {
+          const index = bucketAt(event);
+          if (index !== null) {
+            drag = { from: index, to: index };
+            render();
+          }
+        });
+        canvas.addEventListener('mousemove', (event) => {
+          const index = bucketAt(event);
+          if (drag && index !== null) {
+            drag.to = index;
+            render();
+          } else if (index !== null) {
+            describe(index);
+          }
+        });
+        window.addEventListener('mouseup', () => {
+          if (!drag) {
+            return;
+          }
+          const low = Math.min(drag.from, drag.to);
+          const high = Math.max(drag.from, drag.to);
+          drag = null;
+          if (low === high) {
+            // A plain click reveals the bucket instead of filtering to it.
+            const bucket = timeline.buckets[low];
+            render();
+            if (bucket.line !== null) {
+              vscode.postMessage({ type: 'reveal', line: bucket.line });
+            }
+            return;
+          }
+          vscode.postMessage({
+            type: 'range',
+            from: timeline.buckets[low].start,
+            to: timeline.buckets[high].start + timeline.bucketMs - 1,
+          });
+        });
+        new ResizeObserver(() => render()).observe(canvas);
+        vscode.postMessage({ type: 'ready' });
+
+        function bucketAt(event) {
+          if (!timeline || !timeline.buckets.length) {
+            return null;
+          }
+          const rect = canvas.getBoundingClientRect();
+          const ratio = (event.clientX - rect.left) / rect.width;
+          const index = Math.floor(ratio * timeline.buckets.length);
+          return Math.max(0, Math.min(timeline.buckets.length - 1, index));
+        }
+
+        function cssColor(name) {
+          const value = getComputedStyle(document.body).getPropertyValue(name).trim();
+          return value || '#888';
+        }
+
+        function color(level) {
+          return cssColor(LEVEL_COLORS[level] || '--vscode-foreground');
+        }
+
+        function render() {
+          const width = canvas.clientWidth;
+          const height = canvas.clientHeight;
+          canvas.width = width * devicePixelRatio;
+          canvas.height = height * devicePixelRatio;
+          const context = canvas.getContext('2d');
+          context.scale(devicePixelRatio, devicePixelRatio);
+          context.clearRect(0, 0, width, height);
+          clearEl.hidden = !range;
+          if (!timeline || !timeline.buckets.length) {
+            legendEl.textContent = '';
+            statusEl.textContent = 'No timestamped log entries.';
+            return;
+          }
+          legendEl.innerHTML = timeline.levels
+            .map((level) => '<span><i style="background:' + color(level) + '"></i>' + level + '</span>')
+            .join('');
+          const buckets = timeline.buckets;
+          const max = buckets.reduce((value, bucket) => Math.max(value, bucket.total), 1);
+          const barWidth = width / buckets.length;
+          const selected = selection();
+          buckets.forEach((bucket, index) => {
+            const x = index * barWidth;
+            if (selected && index >= selected.low && index <= selected.high) {
+              context.fillStyle = cssColor('--vscode-focusBorder');
+              context.globalAlpha = 0.15;
+              context.fillRect(x, 0, Math.max(1, barWidth), height);
+              context.globalAlpha = 1;
+            }
+            let y = height;
+            // Most severe levels sit at the bottom of each stack.
+            for (const level of timeline.levels) {
+              const count = bucket.counts[level] || 0;
+              if (!count) {
+                continue;
+              }
+              const barHeight = (count / max) * (height - 4);
+              context.fillStyle = color(level);
+              context.fillRect(x, y - barHeight, Math.max(1, barWidth - 1), barHeight);
+              y -= barHeight;
+            }
+          });
+          statusEl.textContent = range
+            ? 'Showing ' + format(range.from) + ' – ' + format(range.to) + '. Drag to change, click a bar to reveal it.'
+            : buckets.length + ' ' + timeline.bucket + 's from ' + format(buckets[0].start) + '. Drag to filter, click a bar to reveal it.';
+        }
+
+        function selection() {
+          if (drag) {
+            return { low: Math.min(drag.from, drag.to), high: Math.max(drag.from, drag.to) };
+          }
+          if (!range) {
+            return null;
+          }
+          const start = timeline.buckets[0].start;
+          return {
+            low: Math.floor((range.from - start) / timeline.bucketMs),
+            high: Math.floor((range.to - start) / timeline.bucketMs),
+          };
+        }
+
+        function describe(index) {
+          const bucket = timeline.buckets[index];
+          const parts = timeline.levels
+            .filter((level) => bucket.counts[level])
+            .map((level) => level + ' ' + bucket.counts[level]);
+          statusEl.textContent =
+            format(bucket.start) + ': ' + bucket.total + ' entries' + (parts.length ? ' (' + parts.join(', ') + ')' : '');
+        }
+
+        function format(time) {
+          return new Date(time).toISOString().replace('T', ' ').replace('Z', ' UTC');
+        }
+      })();
+    </script>
+  </body>
+</html>`;
+  }
+}
+
+export function registerTimelineView(context, controller) {
+  const provider = new TimelineWebviewProvider(controller);
+  context.subscriptions.push(
+    vscode.window.registerWebviewViewProvider(
+      "tcSyslogViewerTimeline",
+      provider
+    ),
+    provider
+  );
+}
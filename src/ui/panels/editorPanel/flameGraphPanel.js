@@ -0,0 +1,299 @@
+import * as vscode from "vscode";
+
+/**
+ * Editor-area webview that draws a journal as an icicle chart: callers on top, callees below,
+ * widths proportional to elapsed time. Clicking a frame zooms into it and reveals its line in
+ * the syslog; the search box highlights matching functions.
+ */
+export class FlameGraphPanel {
+  constructor(controller) {
+    this.controller = controller;
+    this.panel = undefined;
+    this.graph = null;
+    this.resource = undefined;
+  }
+
+  show(graph, options = {}) {
+    this.graph = graph;
+    this.resource = options.resource;
+    const title = options.title ?? "TC Syslog Flame Graph";
+    if (this.panel) {
+      this.panel.title = title;
+      this.panel.reveal(undefined, true);
+      this.postGraph();
+      return;
+    }
+    this.panel = vscode.window.createWebviewPanel(
+      "tcSyslogViewerFlameGraph",
+      title,
+      { viewColumn: vscode.ViewColumn.Beside, preserveFocus: true },
+      { enableScripts: true, retainContextWhenHidden: true }
+    );
+    this.panel.webview.html = this.buildHtml();
+    this.panel.webview.onDidReceiveMessage((message) =>
+      this.handleMessage(message)
+    );
+    this.panel.onDidDispose(() => {
+      this.panel = undefined;
+    });
+  }
+
+  dispose() {
+    this.panel?.dispose();
+  }
+
+  postGraph() {
+    if (!this.panel || !this.graph) {
+      return;
+    }
+    this.panel.webview.postMessage({ type: "graph", graph: this.graph });
+  }
+
+  handleMessage(message) {
+    if (message?.type === "ready") {
+      // The script only listens once loaded, so the first graph waits for it.
+      this.postGraph();
+      return;
+    }
+    if (message?.type === "reveal" && this.resource) {
+      const editor = vscode.window.visibleTextEditors.find(
+        (candidate) =>
+          candidate.document.uri.toString() === this.resource.toString()
+      );
+      void this.controller.reveal(this.resource, message.line, undefined, {
+        viewColumn: editor?.viewColumn ?? vscode.ViewColumn.One,
+      });
+    }
+  }
+
+  buildHtml() {
+    const nonce = Date.now().toString(36);
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <style>
+      body {
+        font-family: var(--vscode-font-family);
+        font-size: var(--vscode-font-size);
+        color: var(--vscode-foreground);
+        background: var(--vscode-editor-background);
+        margin: 0;
+        padding: 0.6rem;
+      }
+      .toolbar {
+        display: flex;
+        gap: 0.5rem;
+        align-items: center;
+        margin-bottom: 0.4rem;
+      }
+      input {
+        flex: 1;
+        max-width: 320px;
+        border: 1px solid var(--vscode-input-border, transparent);
+        background: var(--vscode-input-background);
+        color: var(--vscode-input-foreground);
+        padding: 0.25rem 0.4rem;
+      }
+      button {
+        background: var(--vscode-button-background);
+        color: var(--vscode-button-foreground);
+        border: none;
+        padding: 0.3rem 0.8rem;
+        cursor: pointer;
+      }
+      #breadcrumb,
+      #details,
+      #matches {
+        color: var(--vscode-descriptionForeground);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      #chart {
+        position: relative;
+        margin: 0.4rem 0;
+      }
+      .frame {
+        position: absolute;
+        height: 19px;
+        box-sizing: border-box;
+        border: 1px solid var(--vscode-editor-background);
+        padding: 0 3px;
+        font-size: 11px;
+        line-height: 17px;
+        color: #1e1e1e;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        cursor: pointer;
+      }
+      .frame.ancestor {
+        opacity: 0.55;
+      }
+      .frame.dimmed {
+        opacity: 0.3;
+      }
+      .frame.match {
+        outline: 2px solid var(--vscode-focusBorder);
+        outline-offset: -2px;
+        font-weight: bold;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="toolbar">
+      <input id="search" type="search" placeholder="Highlight functions..." />
+      <span id="matches"></span>
+      <button id="reset">Reset Zoom</button>
+    </div>
+    <div id="breadcrumb"></div>
+    <div id="chart"></div>
+    <div id="details">Click a frame to zoom in and reveal its line.</div>
+    <script nonce="${nonce}">
+      (function () {
+        const vscode = acquireVsCodeApi();
+        const ROW_HEIGHT = 20;
+        const MIN_WIDTH_PERCENT = 0.05;
+        const chartEl = document.getElementById('chart');
+        const searchEl = document.getElementById('search');
+        const matchesEl = document.getElementById('matches');
+        const breadcrumbEl = document.getElementById('breadcrumb');
+        const detailsEl = document.getElementById('details');
+        let root = null;
+        let zoomed = null;
+        let query = '';
+
+        window.addEventListener('message', (event) => {
+          const message = event.data;
+          if (message && message.type === 'graph') {
+            root = message.graph;
+            layout(root, 0, 1, 0, null);
+            zoomed = root;
+            render();
+          }
+        });
+        searchEl.addEventListener('input', () => {
+          query = searchEl.value.trim().toLowerCase();
+          render();
+        });
+        document.getElementById('reset').addEventListener('click', () => {
+          zoomed = root;
+          render();
+        });
+        vscode.postMessage({ type: 'ready' });
+
+        // Children share their parent's width in proportion to their time; when rounding makes
+        // them add up to more than the parent, they are scaled down to fit.
+        function layout(frame, x, width, depth, parent) {
+          frame.x = x;
+          frame.width = width;
+          frame.depth = depth;
+          frame.parent = parent;
+          const childTotal = frame.children.reduce((sum, child) => sum + child.value, 0);
+          const scale = Math.max(frame.value, childTotal) || 1;
+          let offset = x;
+          for (const child of frame.children) {
+            const childWidth = (width * child.value) / scale;
+            layout(child, offset, childWidth, depth + 1, frame);
+            offset += childWidth;
+          }
+        }
+
+        function render() {
+          chartEl.textContent = '';
+          if (!root) {
+            return;
+          }
+          let maxDepth = 0;
+          let matches = 0;
+          const pending = [root];
+          while (pending.length) {
+            const frame = pending.pop();
+            const left = ((frame.x - zoomed.x) / zoomed.width) * 100;
+            const width = (frame.width / zoomed.width) * 100;
+            const visibleLeft = Math.max(0, left);
+            const visibleWidth = Math.min(100, left + width) - visibleLeft;
+            if (visibleWidth < MIN_WIDTH_PERCENT) {
+              continue;
+            }
+            const isMatch = query && frame.name.toLowerCase().includes(query);
+            if (isMatch) {
+              matches += 1;
+            }
+            maxDepth = Math.max(maxDepth, frame.depth);
+            chartEl.appendChild(createFrame(frame, visibleLeft, visibleWidth, isMatch));
+            pending.push(...frame.children);
+          }
+          chartEl.style.height = (maxDepth + 1) * ROW_HEIGHT + 'px';
+          matchesEl.textContent = query ? matches + ' match' + (matches === 1 ? '' : 'es') : '';
+          breadcrumbEl.textContent = ancestry(zoomed)
+            .map((frame) => frame.name)
+            .join(' › ');
+        }
+
+        function createFrame(frame, left, width, isMatch) {
+          const el = document.createElement('div');
+          el.className = 'frame';
+          if (frame.depth < zoomed.depth) {
+            el.classList.add('ancestor');
+          }
+          if (query) {
+            el.classList.add(isMatch ? 'match' : 'dimmed');
+          }
+          el.style.left = left + '%';
+          el.style.width = width + '%';
+          el.style.top = frame.depth * ROW_HEIGHT + 'px';
+          el.style.background = colorFor(frame.name);
+          el.textContent = frame.name;
+          el.title = describe(frame);
+          el.addEventListener('mouseenter', () => {
+            detailsEl.textContent = describe(frame).replace(/\\n/g, ' · ');
+          });
+          el.addEventListener('click', () => {
+            zoomed = frame;
+            render();
+            if (typeof frame.line === 'number') {
+              vscode.postMessage({ type: 'reveal', line: frame.line });
+            }
+          });
+          return el;
+        }
+
+        function ancestry(frame) {
+          const path = [];
+          for (let current = frame; current; current = current.parent) {
+            path.unshift(current);
+          }
+          return path;
+        }
+
+        function describe(frame) {
+          const share = root.value ? ((frame.value / root.value) * 100).toFixed(1) : '0.0';
+          const lines = [
+            frame.name,
+            frame.value.toFixed(3) + 's (' + share + '%), self ' + frame.self.toFixed(3) + 's',
+          ];
+          if (frame.details) {
+            lines.push(frame.details);
+          }
+          if (typeof frame.line === 'number') {
+            lines.push('Line ' + (frame.line + 1));
+          }
+          return lines.join('\\n');
+        }
+
+        function colorFor(name) {
+          let hash = 0;
+          for (let index = 0; index < name.length; index += 1) {
+            hash = (hash * 31 + name.charCodeAt(index)) | 0;
+          }
+          const hue = 10 + (Math.abs(hash) % 40);
+          return 'hsl(' + hue + ', 80%, ' + (55 + (Math.abs(hash) % 15)) + '%)';
+        }
+      })();
+    </script>
+  </body>
+</html>`;
+  }
+}
@@ -15,5 +15,29 @@ export function leftSidePanelCommands(controller) {
     vscode.commands.registerCommand("tcSyslogViewer.openEntry", (node) =>
       controller.copyEntry(node)
     ),
+    vscode.commands.registerCommand("tcSyslogViewer.openSqlWithBinds", (node) =>
+      controller.openSqlWithBinds(node)
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.filterById", (node) =>
+      controller.filterById(node)
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.clearIdFilter", () =>
+      controller.clearIdFilter()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.clearTimeRange", () =>
+      controller.clearTimeRange()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.filterTrees", () =>
+      controller.filterTrees()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.clearTreeFilter", () =>
+      controller.clearTreeFilter()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.follow", () =>
+      controller.followActive()
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.stopFollow", () =>
+      controller.stopFollowing()
+    ),
   ];
 }
@@ -15,5 +15,15 @@ export function tcSyslogViewerExtraViewCommands(controller) {
       "tcSyslogViewer.openFavorite",
       (favoriteId) => controller.openFavorite(favoriteId)
     ),
+    vscode.commands.registerCommand("tcSyslogViewer.showFlameGraph", (node) =>
+      controller.showFlameGraph(node)
+    ),
+    vscode.commands.registerCommand("tcSyslogViewer.focusCallSubtree", (node) =>
+      controller.focusCallSubtree(node)
+    ),
+    vscode.commands.registerCommand(
+      "tcSyslogViewer.clearCallSubtreeFocus",
+      () => controller.clearCallSubtreeFocus()
+    ),
   ];
 }
@@ -19,7 +19,12 @@ export const LEVEL_ICONS = {
 export const NODE_CONTEXT = {
   CATEGORY: "syslogCategory",
   GROUP: "syslogGroup",
+  JOURNAL: "syslogGroupJournal",
+  ID_GROUP: "syslogGroupId",
   ENTRY: "syslogEntry",
+  INLINE_SQL: "syslogEntryInlineSql",
+  CALL_TREE: "syslogEntryCallTree",
+  CALL_TREE_FOCUS: "syslogCallTreeFocus",
 };
 
 export const FIND_OCCURRENCES_LIMIT = 500;
@@ -0,0 +1,101 @@
+import fs from "node:fs";
+
+/**
+ * Teamcenter error codes are numbered per module, so a code's range tells which layer raised it
+ * even when the code itself is not in the dictionary. Common codes and the module ranges ship in
+ * `media/errorCodes.json`; that list is not an official one, so its entries are shown as
+ * approximate. Site-specific and custom codes come from the user's dictionary file.
+ */
+const BUNDLED_ERROR_CODES_URL = new URL(
+  "../../media/errorCodes.json",
+  import.meta.url
+);
+
+let bundledErrorCodes = null;
+
+function readBundledErrorCodes() {
+  if (!bundledErrorCodes) {
+    bundledErrorCodes = readErrorCodeFile(BUNDLED_ERROR_CODES_URL);
+  }
+  return bundledErrorCodes;
+}
+
+/**
+ * Lookup of ifail codes: the bundled dictionary with `custom`, the user dictionary, on top:
+ * `{ "codes": { "919001": "A2 custom validation failed" }, "families": [{ "from": 919000,
+ * "to": 919999, "module": "A2", "description": "Site customisation" }] }`.
+ */
+export class ErrorCodeDictionary {
+  constructor(custom = {}, bundled = readBundledErrorCodes()) {
+    this.codes = new Map(
+      [
+        ...Object.entries(bundled.codes ?? {}),
+        ...Object.entries(custom.codes ?? {}),
+      ].map(([code, text]) => [Number(code), String(text)])
+    );
+    // User ranges come first so they win where they overlap a bundled module.
+    this.families = [...(custom.families ?? []), ...(bundled.families ?? [])];
+    this.customCodes = new Set(Object.keys(custom.codes ?? {}).map(Number));
+    this.customFamilies = new Set(custom.families ?? []);
+  }
+
+  /**
+   * Returns `{ code, text, family, approximate }`; `text` is null for codes the dictionary does
+   * not know and `family` is null outside the known ranges. `approximate` is set when either
+   * comes from the bundled dictionary rather than the user's file.
+   */
+  describe(code) {
+    const value = Number(code);
+    const family =
+      this.families.find((entry) => value >= entry.from && value <= entry.to) ??
+      null;
+    const text = this.codes.get(value) ?? null;
+    return {
+      code: value,
+      text,
+      family,
+      approximate:
+        (text !== null && !this.customCodes.has(value)) ||
+        (family !== null && !this.customFamilies.has(family)),
+    };
+  }
+}
+
+/**
+ * Reads and checks a dictionary file (a path or file URL). Throws with a readable message when
+ * the file is missing or is not a JSON object of the expected shape.
+ */
+function readErrorCodeFile(source) {
+  const content = JSON.parse(fs.readFileSync(source, "utf8"));
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    throw new Error("the dictionary must be a JSON object");
+  }
+  const { codes, families } = content;
+  if (
+    codes !== undefined &&
+    (!codes || typeof codes !== "object" || Array.isArray(codes))
+  ) {
+    throw new Error('"codes" must map error codes to descriptions');
+  }
+  if (
+    families !== undefined &&
+    (!Array.isArray(families) ||
+      families.some(
+        (family) =>
+          !Number.isFinite(family?.from) || !Number.isFinite(family?.to)
+      ))
+  ) {
+    throw new Error('"families" must be a list of { from, to, module } ranges');
+  }
+  return content;
+}
+
+/**
+ * Reads a user dictionary file and merges it over the bundled one.
+ */
+export function loadErrorCodes(filePath) {
+  if (!filePath) {
+    return new ErrorCodeDictionary();
+  }
+  return new ErrorCodeDictionary(readErrorCodeFile(filePath));
+}
@@ -54,6 +54,77 @@ export function truncate(text, maxLength) {
   return `${text.slice(0, limit)}...`;
 }
 
+/**
+ * Seconds as logged by the profile dumps and journals: `1.500s`.
+ */
+export function formatSeconds(value) {
+  return `${Number(value ?? 0).toFixed(3)}s`;
+}
+
+const SYSLOG_TIMESTAMP_REGEX =
+  /^(\d{4})\/(\d{2})\/(\d{2})-(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/;
+
+/**
+ * Milliseconds since the epoch for a syslog timestamp (`2024/05/01-10:00:00.100`, always UTC),
+ * or null when the text is not one.
+ */
+export function parseSyslogTimestamp(text) {
+  const match = SYSLOG_TIMESTAMP_REGEX.exec(String(text ?? "").trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, fraction] = match;
+  return Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    Number(seconds),
+    Math.round(Number(`0.${fraction ?? "0"}`) * 1000)
+  );
+}
+
+// Index of the first item at or after `line` in a list sorted by `line`.
+function lowerBoundByLine(items, line) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (items[middle].line < line) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Binary searches over parser collections, which are sorted by `line`.
+ */
+export function findLastAtOrBefore(items, line) {
+  return items[lowerBoundByLine(items, line + 1) - 1] ?? null;
+}
+
+export function findFirstAtOrAfter(items, line) {
+  return items[lowerBoundByLine(items, line)] ?? null;
+}
+
+export function sliceLineRange(items, startLine, endLine) {
+  return items.slice(
+    lowerBoundByLine(items, startLine),
+    lowerBoundByLine(items, endLine + 1)
+  );
+}
+
+export function countInLineRange(items, startLine, endLine) {
+  return Math.max(
+    0,
+    lowerBoundByLine(items, endLine + 1) - lowerBoundByLine(items, startLine)
+  );
+}
+
 export function isSyslogDocument(document) {
   if (!document) {
     return false;
@@ -63,8 +134,11 @@ export function isSyslogDocument(document) {
   return fileName.endsWith(".syslog");
 }
 
-export function collectNodeClipboardTexts(node, parsed, options = {}) {
-  if (!node || !parsed) {
+/**
+ * Text to copy for a tree node: the document lines it points at, plus any texts it carries.
+ */
+export function collectNodeClipboardTexts(node, document, options = {}) {
+  if (!node || !document) {
     return [];
   }
   const includeChildren = options.includeChildren !== false;
@@ -85,7 +159,7 @@ export function collectNodeClipboardTexts(node, parsed, options = {}) {
       }
       return;
     }
-    const resolved = resolveNodeClipboardEntries(current, parsed, seenLines);
+    const resolved = resolveNodeClipboardEntries(current, document, seenLines);
     for (const item of resolved) {
       if (typeof item.text === "string" && item.text.length) {
         collected.push({
@@ -132,7 +206,7 @@ export function collectNodeClipboardTexts(node, parsed, options = {}) {
   return collected.map((entry) => entry.text);
 }
 
-function resolveNodeClipboardEntries(node, parsed, seenLines) {
+function resolveNodeClipboardEntries(node, document, seenLines) {
   const results = [];
 
   const addLine = (line) => {
@@ -142,7 +216,7 @@ function resolveNodeClipboardEntries(node, parsed, seenLines) {
     if (seenLines.has(line)) {
       return;
     }
-    const text = getLineText(parsed, line);
+    const text = getLineText(document, line);
     if (typeof text !== "string") {
       return;
     }
@@ -155,7 +229,7 @@ function resolveNodeClipboardEntries(node, parsed, seenLines) {
       return;
     }
     if (typeof lineHint === "number") {
-      const lineText = getLineText(parsed, lineHint);
+      const lineText = getLineText(document, lineHint);
       if (typeof lineText === "string" && lineText === text) {
         return;
       }
@@ -214,14 +288,11 @@ function resolveNodeClipboardEntries(node, parsed, seenLines) {
   return results;
 }
 
-function getLineText(parsed, line) {
-  if (!parsed || !Array.isArray(parsed.lines)) {
-    return null;
-  }
-  if (line < 0 || line >= parsed.lines.length) {
+function getLineText(document, line) {
+  if (!document || line < 0 || line >= document.lineCount) {
     return null;
   }
-  return parsed.lines[line];
+  return document.lineAt(line).text;
 }
 
 function buildNodeFallbackText(node) {
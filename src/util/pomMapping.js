@@ -0,0 +1,176 @@
+import fs from "node:fs";
+
+/**
+ * Maps physical POM tables and columns back to the BMIDE names developers know. Teamcenter
+ * stores class `Foo` in table `PFOO`, attribute `bar` in column `pbar` and typed reference
+ * `baz` in `rbazu` (uid) / `rbazc` (class). Upper-casing loses the class name's camel case, so
+ * the built-in dictionary covers the standard classes; custom templates can add their own.
+ */
+export const DEFAULT_POM_CLASSES = {
+  PPOM_OBJECT: "POM_object",
+  PPOM_APPLICATION_OBJECT: "POM_application_object",
+  PPOM_SYSTEM_CLASS: "POM_system_class",
+  PPOM_USER: "POM_user",
+  PPOM_GROUP: "POM_group",
+  PPOM_MEMBER: "POM_member",
+  PPOM_ACCESSOR: "POM_accessor",
+  PPOM_STUB: "POM_stub",
+  PPOM_IMC: "POM_imc",
+  PPOM_SITE_CONFIG: "POM_site_config",
+  PPOM_SCHEMA: "POM_schema",
+  PPOM_ATTRIBUTE: "POM_attribute",
+  PPOM_CLASS: "POM_class",
+  PPOM_TIMESTAMP: "POM_timestamp",
+  PWORKSPACEOBJECT: "WorkspaceObject",
+  PITEM: "Item",
+  PITEMREVISION: "ItemRevision",
+  PITEMMASTER: "ItemMaster",
+  PDATASET: "Dataset",
+  PDATASETTYPE: "DatasetType",
+  PFOLDER: "Folder",
+  PFORM: "Form",
+  PFORMTYPE: "FormType",
+  PIMANFILE: "ImanFile",
+  PIMANVOLUME: "ImanVolume",
+  PIMANRELATION: "ImanRelation",
+  PIMANTYPE: "ImanType",
+  PIMANQUERY: "ImanQuery",
+  PITEMTYPE: "ItemType",
+  PRELEASESTATUS: "ReleaseStatus",
+  PPERSON: "Person",
+  PROLE: "Role",
+  PGROUPMEMBER: "Groupmember",
+  PTC_PROJECT: "TC_Project",
+  PTC_PREFERENCES: "TC_Preferences",
+  PEPMJOB: "EPMJob",
+  PEPMTASK: "EPMTask",
+  PEPMTASKTEMPLATE: "EPMTaskTemplate",
+  PEPMSIGNOFF: "EPMSignoff",
+  PSIGNOFF: "Signoff",
+  PEPMACTION: "EPMAction",
+  PEPMHANDLER: "EPMHandler",
+  PEPMBUSINESSRULE: "EPMBusinessRule",
+  PPSBOMVIEW: "PSBOMView",
+  PPSBOMVIEWREVISION: "PSBOMViewRevision",
+  PPSOCCURRENCE: "PSOccurrence",
+  PPSOCCURRENCETHREAD: "PSOccurrenceThread",
+  PPSVIEWTYPE: "PSViewType",
+  PREVISIONRULE: "RevisionRule",
+  PVARIANTRULE: "VariantRule",
+  PUNITOFMEASURE: "UnitOfMeasure",
+  PAM_TREE: "AM_tree",
+  PAM_ACL: "AM_ACL",
+  PACCESSCONTROLLIST: "AccessControlList",
+  PIMANALIASLIST: "ImanAliasList",
+  PTASKTYPE: "TaskType",
+  PTCCALENDAR: "TCCalendar",
+  PENVELOPE: "Envelope",
+  PMEAPPEARANCEPATHNODE: "MEAppearancePathNode",
+  PFND0MESSAGE: "Fnd0Message",
+  PFND0SNAPSHOT: "Fnd0Snapshot",
+  PFND0CLIENTSCOPE: "Fnd0ClientScope",
+  PFND0CLIENTSESSIONINFO: "Fnd0ClientSessionInfo",
+  PFND0WORKFLOWAUDIT: "Fnd0WorkflowAudit",
+  PFND0GENERALAUDIT: "Fnd0GeneralAudit",
+  PSMALL_CLOB: "small_clob",
+};
+
+const COLUMN_REGEX = /^([pr])([a-z0-9_]+?)([uc])?$/i;
+
+/**
+ * Lookup of table → class and column → attribute names. `custom` is the user mapping:
+ * `{ "tables": { "PA2MYITEM": "A2MyItem" }, "attributes": { "pa2_weight": "a2_weight" } }`.
+ */
+export class PomMapping {
+  constructor(custom = {}) {
+    this.classes = new Map(Object.entries(DEFAULT_POM_CLASSES));
+    for (const [table, className] of Object.entries(custom.tables ?? {})) {
+      this.classes.set(table.toUpperCase(), String(className));
+    }
+    this.attributes = new Map(
+      Object.entries(custom.attributes ?? {}).map(([column, attribute]) => [
+        column.toLowerCase(),
+        String(attribute),
+      ])
+    );
+  }
+
+  /**
+   * Returns `{ name, derived }` for a POM table, where `derived` marks a name guessed from the
+   * `P` prefix convention rather than taken from a dictionary; null for other identifiers.
+   */
+  classForTable(table) {
+    const upper = String(table ?? "").toUpperCase();
+    const known = this.classes.get(upper);
+    if (known) {
+      return { name: known, derived: false };
+    }
+    if (upper.length > 1 && upper.startsWith("P")) {
+      return { name: upper.slice(1), derived: true };
+    }
+    return null;
+  }
+
+  /**
+   * Returns `{ name, derived }` for a column: `pobject_name` → `object_name`, `rowning_useru` →
+   * `owning_user`. `derived` marks names read off the column naming convention rather than
+   * taken from the user mapping; null when the column does not follow it.
+   */
+  attributeForColumn(column) {
+    const lower = String(column ?? "").toLowerCase();
+    const known = this.attributes.get(lower);
+    if (known) {
+      return { name: known, derived: false };
+    }
+    if (lower === "puid" || lower === "pid") {
+      return { name: lower, derived: true };
+    }
+    const match = COLUMN_REGEX.exec(lower);
+    if (!match) {
+      return null;
+    }
+    // Only references carry the uid/class suffix.
+    const name =
+      match[1] === "r" && match[3] ? match[2] : `${match[2]}${match[3] ?? ""}`;
+    return { name, derived: true };
+  }
+
+  describeColumns(columns) {
+    const names = (columns ?? [])
+      .map((column) => this.attributeForColumn(column)?.name)
+      .filter(Boolean);
+    return Array.from(new Set(names)).join(", ");
+  }
+
+  describeTables(tables) {
+    return (tables ?? [])
+      .map((table) => this.classForTable(table))
+      .filter(Boolean)
+      .map((entry) => (entry.derived ? `${entry.name}?` : entry.name))
+      .join(", ");
+  }
+}
+
+/**
+ * Reads a user mapping file. Throws with a readable message when the file is missing or is not
+ * a JSON object of the expected shape.
+ */
+export function loadPomMapping(filePath) {
+  if (!filePath) {
+    return new PomMapping();
+  }
+  const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!content || typeof content !== "object" || Array.isArray(content)) {
+    throw new Error("the mapping must be a JSON object");
+  }
+  for (const key of ["tables", "attributes"]) {
+    const section = content[key];
+    if (
+      section !== undefined &&
+      (!section || typeof section !== "object" || Array.isArray(section))
+    ) {
+      throw new Error(`"${key}" must map names to names`);
+    }
+  }
+  return new PomMapping(content);
+}
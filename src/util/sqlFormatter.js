@@ -0,0 +1,269 @@
+/**
+ * Small SQL pretty-printer for statements taken from a syslog. It does not parse SQL; it breaks
+ * lines before clauses, select-list commas and AND/OR conditions and indents sub-queries, which
+ * is enough to make the generated POM queries readable.
+ */
+const TOKEN_REGEX =
+  /\s+|--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|[A-Za-z_][A-Za-z0-9_$#]*|\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|:[A-Za-z0-9_]+|<>|!=|<=|>=|\|\||:=|[^\s]/g;
+
+const KEYWORDS = new Set([
+  "ALL",
+  "AND",
+  "AS",
+  "ASC",
+  "BETWEEN",
+  "BY",
+  "CASE",
+  "CROSS",
+  "DELETE",
+  "DESC",
+  "DISTINCT",
+  "ELSE",
+  "END",
+  "EXCEPT",
+  "EXISTS",
+  "FETCH",
+  "FIRST",
+  "FOR",
+  "FROM",
+  "FULL",
+  "GROUP",
+  "HAVING",
+  "IN",
+  "INNER",
+  "INSERT",
+  "INTERSECT",
+  "INTO",
+  "IS",
+  "JOIN",
+  "LEFT",
+  "LIKE",
+  "LIMIT",
+  "MERGE",
+  "MINUS",
+  "NEXT",
+  "NOT",
+  "NULL",
+  "OFFSET",
+  "ON",
+  "ONLY",
+  "OR",
+  "ORDER",
+  "OUTER",
+  "RIGHT",
+  "ROWS",
+  "SELECT",
+  "SET",
+  "THEN",
+  "UNION",
+  "UPDATE",
+  "USING",
+  "VALUES",
+  "WHEN",
+  "WHERE",
+  "WITH",
+]);
+
+// Keywords that start a new line at the statement's indentation.
+const CLAUSE_KEYWORDS = new Set([
+  "SELECT",
+  "FROM",
+  "WHERE",
+  "GROUP BY",
+  "ORDER BY",
+  "HAVING",
+  "UNION",
+  "UNION ALL",
+  "INTERSECT",
+  "MINUS",
+  "EXCEPT",
+  "INSERT INTO",
+  "VALUES",
+  "UPDATE",
+  "SET",
+  "DELETE",
+  "DELETE FROM",
+  "MERGE INTO",
+  "USING",
+  "WITH",
+  "FETCH",
+  "OFFSET",
+  "FOR UPDATE",
+]);
+// Keywords that start a new line one level deeper than the clause they belong to.
+const NESTED_KEYWORDS = new Set([
+  "JOIN",
+  "INNER JOIN",
+  "LEFT JOIN",
+  "LEFT OUTER JOIN",
+  "RIGHT JOIN",
+  "RIGHT OUTER JOIN",
+  "FULL JOIN",
+  "FULL OUTER JOIN",
+  "CROSS JOIN",
+  "AND",
+  "OR",
+]);
+// Clauses whose top-level commas separate list items worth one line each.
+const LIST_CLAUSES = new Set(["SELECT", "GROUP BY", "ORDER BY", "SET"]);
+const COMPOUND_KEYWORDS = [
+  ["LEFT", "OUTER", "JOIN"],
+  ["RIGHT", "OUTER", "JOIN"],
+  ["FULL", "OUTER", "JOIN"],
+  ["INNER", "JOIN"],
+  ["LEFT", "JOIN"],
+  ["RIGHT", "JOIN"],
+  ["FULL", "JOIN"],
+  ["CROSS", "JOIN"],
+  ["GROUP", "BY"],
+  ["ORDER", "BY"],
+  ["UNION", "ALL"],
+  ["INSERT", "INTO"],
+  ["DELETE", "FROM"],
+  ["MERGE", "INTO"],
+  ["FOR", "UPDATE"],
+];
+const INDENT = "  ";
+
+function tokenize(sql) {
+  const tokens = [];
+  for (const match of sql.matchAll(TOKEN_REGEX)) {
+    const text = match[0];
+    if (/^\s+$/.test(text)) {
+      continue;
+    }
+    const upper = text.toUpperCase();
+    tokens.push(
+      KEYWORDS.has(upper) ? { text: upper, keyword: true } : { text }
+    );
+  }
+  // Fold multi-word keywords into one token so "ORDER BY" is handled like "WHERE".
+  const folded = [];
+  for (let index = 0; index < tokens.length; index += 1) {
+    const compound = COMPOUND_KEYWORDS.find((words) =>
+      words.every((word, offset) => tokens[index + offset]?.text === word)
+    );
+    if (compound) {
+      folded.push({ text: compound.join(" "), keyword: true });
+      index += compound.length - 1;
+    } else {
+      folded.push(tokens[index]);
+    }
+  }
+  return folded;
+}
+
+function needsSpace(previous, token) {
+  if (!previous) {
+    return false;
+  }
+  if (token.text === "," || token.text === ")" || token.text === ".") {
+    return false;
+  }
+  if (previous.text === "(" || previous.text === ".") {
+    return false;
+  }
+  // Function calls keep their argument list attached: NVL(, COUNT(.
+  if (token.text === "(" && !previous.keyword && /^\w/.test(previous.text)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Returns `sql` reformatted over several lines. Comments and literals are kept verbatim;
+ * keywords are upper-cased.
+ */
+export function formatSql(sql) {
+  const tokens = tokenize(String(sql ?? "").trim());
+  if (!tokens.length) {
+    return "";
+  }
+  const lines = [];
+  let current = "";
+  let previous = null;
+  // One frame per statement level; sub-queries in parentheses push a new one.
+  const frames = [{ indent: 0, parens: 0, clause: null, between: false }];
+
+  const newLine = (indent) => {
+    if (current.trim()) {
+      lines.push(current.replace(/\s+$/, ""));
+    }
+    current = INDENT.repeat(indent);
+    previous = null;
+  };
+  const append = (token) => {
+    if (needsSpace(previous, token)) {
+      current += " ";
+    }
+    current += token.text;
+    previous = token;
+  };
+
+  tokens.forEach((token, index) => {
+    const frame = frames[frames.length - 1];
+    const atTopLevel = frame.parens === 0;
+    if (token.text.startsWith("--")) {
+      append(token);
+      newLine(frame.indent + 1);
+      return;
+    }
+    if (token.text === "(") {
+      if (tokens[index + 1]?.text === "SELECT") {
+        append(token);
+        frames.push({
+          indent: frame.indent + 2,
+          parens: 0,
+          clause: null,
+          between: false,
+          subquery: true,
+        });
+        return;
+      }
+      frame.parens += 1;
+      append(token);
+      return;
+    }
+    if (token.text === ")") {
+      if (atTopLevel && frame.subquery) {
+        frames.pop();
+        newLine(frames[frames.length - 1].indent + 1);
+        append(token);
+        return;
+      }
+      frame.parens = Math.max(0, frame.parens - 1);
+      append(token);
+      return;
+    }
+    if (token.keyword && atTopLevel && CLAUSE_KEYWORDS.has(token.text)) {
+      newLine(frame.indent);
+      frame.clause = token.text;
+      frame.between = false;
+      append(token);
+      return;
+    }
+    if (token.text === "BETWEEN") {
+      frame.between = true;
+      append(token);
+      return;
+    }
+    if (token.keyword && atTopLevel && NESTED_KEYWORDS.has(token.text)) {
+      if (token.text === "AND" && frame.between) {
+        frame.between = false;
+        append(token);
+        return;
+      }
+      newLine(frame.indent + 1);
+      append(token);
+      return;
+    }
+    if (token.text === "," && atTopLevel && LIST_CLAUSES.has(frame.clause)) {
+      append(token);
+      newLine(frame.indent + 1);
+      return;
+    }
+    append(token);
+  });
+  newLine(0);
+  return lines.join("\n");
+}
@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ErrorCodeDictionary } from "../src/util/errorCodes.js";
+
+test("bundled error codes are approximate and user entries are not", () => {
+  const dictionary = new ErrorCodeDictionary({
+    codes: { 515024: "Site text", 919001: "A2 validation failed" },
+    families: [{ from: 919000, to: 919999, module: "A2" }],
+  });
+  assert.equal(dictionary.describe(7007).approximate, true);
+  assert.equal(dictionary.describe(919001).approximate, false);
+  // A user text on a bundled module range still shows the range as approximate.
+  assert.deepEqual(
+    [dictionary.describe(515024).text, dictionary.describe(515024).approximate],
+    ["Site text", true]
+  );
+  assert.equal(dictionary.describe(42).approximate, false);
+});
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTeamcenterLog } from "../src/parse/tcServerSyslogParser.js";
+import { buildTreeModel } from "../src/core/treeModel.js";
+import { buildNodeFlameGraph } from "../src/core/flameGraph.js";
+
+// Two requests, each followed by its own journal section and hierarchy trace.
+const SYSLOG = [
+  "INFO - 2024/05/01-10:00:00.000 UTC - reqA - load items",
+  "START JOURNALLED_TIMES_IN_ALL_FUNCTIONS",
+  "@*  50.0  2.000  1.500  10  5  0.400  POM_load",
+  "END JOURNALLED_TIMES_IN_ALL_FUNCTIONS",
+  "START JOURNAL_HIERARCHY_TRACE v1",
+  "%Total %Parent Time DBTrips Calls Depth Routine",
+  " 100 100 2.000 10 1 0 a_top",
+  "END JOURNAL_HIERARCHY_TRACE",
+  "INFO - 2024/05/01-10:05:00.000 UTC - reqB - save items",
+  "START JOURNALLED_TIMES_IN_ALL_FUNCTIONS",
+  "@*  25.0  1.000  0.500  4  2  0.500  AOM_save",
+  "END JOURNALLED_TIMES_IN_ALL_FUNCTIONS",
+  "START JOURNAL_HIERARCHY_TRACE v1",
+  "%Total %Parent Time DBTrips Calls Depth Routine",
+  " 100 100 1.000 4 1 0 b_top",
+  "END JOURNAL_HIERARCHY_TRACE",
+].join("\n");
+
+function journalNodes(parsed, options) {
+  const { nodes } = buildTreeModel(parsed, undefined, options);
+  return nodes.find((node) => node.id === "root:journal").children;
+}
+
+function openFlameGraphs(options) {
+  const parsed = parseTeamcenterLog(SYSLOG);
+  return journalNodes(parsed, options).map((node) => ({
+    label: node.label,
+    graph: buildNodeFlameGraph(parsed, node),
+  }));
+}
+
+test("flame graphs under the ID filter draw the filtered request", () => {
+  const [section, trace] = openFlameGraphs({ idFilter: "reqB" });
+  assert.equal(section.label, "JOURNALLED_TIMES_IN_ALL_FUNCTIONS #2");
+  assert.deepEqual(
+    section.graph.children.map((frame) => frame.name),
+    ["AOM_save"]
+  );
+  assert.deepEqual(
+    trace.graph.children.map((frame) => frame.name),
+    ["b_top"]
+  );
+});
+
+test("flame graphs without a filter keep their own sections", () => {
+  const graphs = openFlameGraphs({});
+  assert.deepEqual(
+    graphs.map(({ label, graph }) => [label, graph.children[0].name]),
+    [
+      ["JOURNALLED_TIMES_IN_ALL_FUNCTIONS #1", "POM_load"],
+      ["JOURNALLED_TIMES_IN_ALL_FUNCTIONS #2", "AOM_save"],
+      ["JOURNAL_HIERARCHY_TRACE", "a_top"],
+      ["JOURNAL_HIERARCHY_TRACE", "b_top"],
+    ]
+  );
+});
+
+test("flame graphs under a time window draw the sections inside it", () => {
+  const from = Date.UTC(2024, 4, 1, 10, 4);
+  const [section, trace] = openFlameGraphs({ timeRange: { from, to: null } });
+  assert.equal(section.label, "JOURNALLED_TIMES_IN_ALL_FUNCTIONS #2");
+  assert.equal(section.graph.children[0].name, "AOM_save");
+  assert.equal(trace.graph.children[0].name, "b_top");
+});
+
+test("flame graphs under both the ID filter and a time window", () => {
+  const graphs = openFlameGraphs({
+    idFilter: "reqA",
+    timeRange: { from: null, to: Date.UTC(2024, 4, 1, 10, 1) },
+  });
+  assert.deepEqual(
+    graphs.map(({ label, graph }) => [label, graph.children[0].name]),
+    [
+      ["JOURNALLED_TIMES_IN_ALL_FUNCTIONS #1", "POM_load"],
+      ["JOURNAL_HIERARCHY_TRACE", "a_top"],
+    ]
+  );
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  SyslogStreamParser,
+  parseTeamcenterLog,
+  parseTeamcenterLogAppend,
+  parseTeamcenterLogFile,
+} from "../src/parse/tcServerSyslogParser.js";
+
+const entry = (second, message) =>
+  `INFO - 2024/05/01-10:00:0${second}.000 UTC - req1 - ${message}`;
+
+const entryLines = (parsed) =>
+  parsed.logLines.map((item) => [item.line, item.message]);
+
+function withTempFile(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tc-syslog-"));
+  return Promise.resolve(run(path.join(dir, "session.syslog"))).finally(() =>
+    fs.rmSync(dir, { recursive: true, force: true })
+  );
+}
+
+test("a lone \\r ends a line in memory and when streamed from disk", () =>
+  withTempFile(async (filePath) => {
+    const text = `${entry(1, "first")}\r${entry(2, "second")}\r\n${entry(
+      3,
+      "third"
+    )}\n`;
+    fs.writeFileSync(filePath, text);
+    const inMemory = parseTeamcenterLog(text);
+    assert.deepEqual(entryLines(inMemory), [
+      [0, "first"],
+      [1, "second"],
+      [2, "third"],
+    ]);
+    const fromFile = await parseTeamcenterLogFile(filePath);
+    assert.deepEqual(entryLines(fromFile), entryLines(inMemory));
+  }));
+
+test("an append after a trailing \\r keeps the line numbers of a full parse", () =>
+  withTempFile(async (filePath) => {
+    fs.writeFileSync(filePath, `${entry(1, "first")}\r`);
+    const parser = new SyslogStreamParser();
+    await parseTeamcenterLogFile(filePath, { parser });
+    fs.appendFileSync(
+      filePath,
+      `\n${entry(2, "second")}\r${entry(3, "third")}`
+    );
+    assert.notEqual(await parseTeamcenterLogAppend(filePath, { parser }), null);
+    assert.deepEqual(
+      entryLines(parser.result),
+      entryLines(parseTeamcenterLog(fs.readFileSync(filePath, "utf8")))
+    );
+  }));
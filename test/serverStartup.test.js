@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildServerStartup } from "../src/core/serverStartup.js";
+
+const entry = (line, module, time) => ({
+  line,
+  id: `InitializeModule.${module}`,
+  time,
+  timestamp: time === null ? "" : new Date(time).toISOString(),
+});
+
+test("untimed modules are ordered by the last timestamp logged before them", () => {
+  const names = (logLines) =>
+    buildServerStartup(logLines).modules.map((module) => module.name);
+  const logLines = [
+    entry(0, "POM", 3000),
+    entry(1, "AOM", null),
+    entry(2, "EPM", 1000),
+    entry(3, "QRY", null),
+  ];
+  assert.deepEqual(names(logLines), ["EPM", "QRY", "POM", "AOM"]);
+});
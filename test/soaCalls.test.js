@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseTeamcenterLog } from "../src/parse/tcServerSyslogParser.js";
+import { buildSoaCalls } from "../src/core/soaCalls.js";
+
+const line = (time, message) =>
+  `INFO - 2024/05/01-10:00:${time} UTC - req1 - ${message}`;
+
+test("SOA call durations prefer the time the end marker reports", () => {
+  const calls = buildSoaCalls(
+    parseTeamcenterLog(
+      [
+        line("00.000", "Start of request Core-2006-03-Session.login"),
+        line("01.000", "End of request Core-2006-03-Session.login took 12 ms"),
+        line(
+          "02.000",
+          "Start of request Core-2006-03-DataManagement.getProperties"
+        ),
+        line(
+          "03.500",
+          "End of request Core-2006-03-DataManagement.getProperties"
+        ),
+      ].join("\n")
+    )
+  );
+  assert.deepEqual(
+    calls.map((call) => [call.operation, call.duration]),
+    [
+      ["login", 12],
+      ["getProperties", 1500],
+    ]
+  );
+});